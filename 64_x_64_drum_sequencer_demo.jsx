@@ -1,13 +1,33 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 
 // Fully self-contained React single-file demo for a 64x64 grid drum sequencer.
-// - 64x64 clickable grid (black = on, white = off)
-// - Selection is always 4 rows tall; user can drag horizontally to set length; click -> 4x4
+// - Clickable grid, 64x64 by default and resizable from 16x16 up to 128x256 (black = on, white = off, grey shades = lower velocity),
+//   painted on a canvas that only redraws changed cells; the pattern and its size persist in localStorage
+// - Selection is one row per voice (1-16, default 4) or per slice; user can drag horizontally to set length; click -> 4 steps
 // - Selection highlighted with blue border
-// - Selection becomes a 4-voice step sequencer (columns = steps, rows = voices)
-// - Mode switch: Sample or MIDI. In Sample mode you can drop audio files into 4 sample slots.
+// - Selection becomes a step sequencer (columns = steps, rows = voices)
+// - Mode switch: Sample or MIDI. In Sample mode you can drop audio files into the voices' sample slots.
 // - Play/Stop, BPM input, Randomize (scheduled on next beat), and real-time updates
+// - Optional MIDI clock/transport out (24 PPQN, Start/Stop, Song Position Pointer) per MIDI output
+// - External sync: follow incoming MIDI clock/Start/Stop/SPP from a selected MIDI input
+// - MIDI input notes audition voices (per-row MIDI note table) and can be recorded into the selection
+// - MIDI learn: bind CCs/notes to on-screen controls; bindings persist in localStorage
+// - Swing and groove templates (built-in, custom offset tables or imported groove files)
 // - Uses a built-in SequencerEngine (samples + WebMIDI fallback) that respects per-row volume & mute
+// - Timing lives in a Transport class (tempo, position, lookahead, quantized pattern switching) on an injectable clock
+// - Choke groups: sample voices in the same group cut each other off (e.g. closed hat chokes open hat)
+// - Per-voice sample editor: trim, reverse, tune (semitones/cents) and attack/decay envelope
+// - Sound library: samples and breakbeats loaded from disk are kept in IndexedDB and restored on reload
+// - Transient slicing: breakbeat slices can start on detected onsets, with markers editable on the waveform
+// - Breakbeat time-stretch (WSOLA, in a background worker): tempo matching keeps the pitch and the Pitch control keeps the timing
+// - Breakbeat tempo detection from the audio (with confidence and half/double-time alternatives)
+// - Multi-bar breakbeats (1-8 bars or detected); slices beyond the grid height are paged
+// - Per-slice reverse, pitch offset, stutter (retrigger) and gate for jungle-style edits
+// - Slice column modes: top slice wins, layered (with per-slice choke groups) or random winner
+// - Selection walker: the selection steps, random-walks, bounces or follows a drawn path every few bars
+// - Song mode: selections saved as scenes (position, length, mode, mutes) chained with bar counts and loop points
+// - Tracks: extra selections with their own colour, mode, voices or MIDI channel, length and mute, played in step with the main one
+// - Drum kits: JSON manifests (sample URLs, names, volumes, tunings, MIDI notes) loaded from kits/ or saved from the current voices
 
 // NOTE: This demo is intended to run inside the canvas preview. To use it in a real app,
 // extract the component and bundle it with a React app.
@@ -25,13 +45,19 @@ class SequencerEngine {
     this.noteLength = opts.noteLength || '1/8'; // Store note length division (default 1/8)
     this.breakbeatOneShot = true; // One-shot mode by default
     this.breakbeatPitch = 0; // No pitch shift by default
+    this.sliceMode = 'equal'; // 'equal' | 'transient'
+    this.breakbeatStretch = 'vinyl'; // 'vinyl' (playbackRate, tempo and pitch linked) | 'stretch' (independent)
+    this._stretched = null; // { source, factor, buffer }: time-stretched breakbeat prepared for 'stretch'
+    this.slicePoints = [0]; // Transient slice markers as sorted fractions of the breakbeat
+    this.sliceSettings = []; // Per-slice DEFAULT_SLICE_SETTINGS-shaped modifiers (missing = defaults)
+    this.breakbeatLayered = false; // Slices overlap (cut only by choke groups) instead of cutting each other
 
     this.sampleBuffers = new Array(this.numRows).fill(null);
     this.muted = new Array(this.numRows).fill(false);
     this.volumes = new Array(this.numRows).fill(1.0);
-    this.midiNotes = [36, 38, 42, 46].slice(0, this.numRows);
+    this.midiNotes = DEFAULT_MIDI_NOTES.slice(0, this.numRows);
     
-    // Expand midiNotes array if numRows > 4
+    // Expand midiNotes array if numRows > the default voices
     while (this.midiNotes.length < this.numRows) {
       this.midiNotes.push(60 + this.midiNotes.length); // Add more notes
     }
@@ -39,11 +65,22 @@ class SequencerEngine {
     this.midiAccess = null;
     this.midiOutput = null;
     this.midiChannel = 1;
+    this.midiChannelsPerRow = new Array(this.numRows).fill(null); // null = use midiChannel
+    this.gatesPerRow = new Array(this.numRows).fill(null); // { value, unit: 'ms'|'step' }; null = defaultNoteLength
+    this.noNoteOffPerRow = new Array(this.numRows).fill(false); // Skip note-off (e.g. one-shot drum modules)
+    this.midiClockOutputIds = new Set(); // Outputs (by id) that receive clock and transport messages
+    this._clockRunning = false;
+    this._nextClockTime = 0; // Audio time of the next 24 PPQN clock pulse
+    this._lastClockTime = 0; // Audio time of the last pulse handed to the MIDI output
 
     this._scheduledTimeouts = new Set();
     this._scheduledSources = new Set();
     this._scheduledGains = new Map(); // Map source -> gain for fadeouts
-    this._breakbeatSources = new Set(); // Track breakbeat sources separately for mutual exclusivity
+    this._breakbeatSources = new Map(); // Breakbeat source -> { sliceIndex, startTime }, for exclusivity and chokes
+    this._sampleSources = new Map(); // Sample source -> { rowIndex, startTime } for choke groups
+    this.chokeGroups = new Array(this.numRows).fill(0); // Choke group per row, 0 = none
+    this.sampleSettings = new Array(this.numRows).fill(null).map(() => ({ ...DEFAULT_SAMPLE_SETTINGS }));
+    this._reversedBuffers = new WeakMap(); // AudioBuffer -> reversed copy, built on first reverse trigger
 
     // Callbacks for slice visual feedback
     this.onSliceTriggered = null;
@@ -66,10 +103,28 @@ class SequencerEngine {
   setMode(m) { this.mode = m; }
   setMidiOutput(output) { this.midiOutput = output; }
   setMidiChannel(ch) { this.midiChannel = Math.max(1, Math.min(16, ch | 0)); }
+  setMidiClockEnabled(outputId, enabled) { if (enabled) this.midiClockOutputIds.add(outputId); else this.midiClockOutputIds.delete(outputId); }
+  isMidiClockEnabled(outputId) { return this.midiClockOutputIds.has(outputId); }
   loadSample(rowIndex, audioBuffer) { if (rowIndex>=0 && rowIndex<this.numRows) this.sampleBuffers[rowIndex]=audioBuffer; }
   setVolume(rowIndex, v) { if (rowIndex>=0 && rowIndex<this.numRows) this.volumes[rowIndex]=Math.max(0,Math.min(1,v)); }
   setMute(rowIndex, m) { if (rowIndex>=0 && rowIndex<this.numRows) this.muted[rowIndex]=!!m; }
   setMidiNoteForRow(rowIndex,n){ if (rowIndex>=0&&rowIndex<this.numRows) this.midiNotes[rowIndex]=n|0; }
+  setMidiChannelForRow(rowIndex, ch) { if (rowIndex>=0&&rowIndex<this.numRows) this.midiChannelsPerRow[rowIndex] = ch == null ? null : Math.max(1, Math.min(16, ch | 0)); }
+  setGateForRow(rowIndex, gate) { if (rowIndex>=0&&rowIndex<this.numRows) this.gatesPerRow[rowIndex] = gate || null; }
+  setSampleSettings(rowIndex, settings) { if (rowIndex>=0&&rowIndex<this.numRows) this.sampleSettings[rowIndex] = { ...DEFAULT_SAMPLE_SETTINGS, ...settings }; }
+  setChokeGroup(rowIndex, group) { if (rowIndex>=0&&rowIndex<this.numRows) this.chokeGroups[rowIndex] = Math.max(0, group | 0); }
+  setNoNoteOffForRow(rowIndex, noOff) { if (rowIndex>=0&&rowIndex<this.numRows) this.noNoteOffPerRow[rowIndex] = !!noOff; }
+
+  // Gate length in seconds for a row: milliseconds, or a fraction of the current step length
+  _gateSeconds(rowIndex) {
+    const gate = this.gatesPerRow[rowIndex];
+    if (!gate || !(gate.value > 0)) return this.defaultNoteLength;
+    if (gate.unit === 'step') {
+      const secPerStep = 60 / (Number(this.currentBPM) || 120) / (NOTE_DIVISORS[this.noteLength] || 4);
+      return gate.value * secPerStep;
+    }
+    return gate.value / 1000;
+  }
   setBreakbeatBPM(bpm) { this.breakbeatBPM = bpm; } // Update BPM for recalculation
   setCurrentBPM(bpm) { this.currentBPM = bpm; } // Update current sequencer BPM
   setNoteLength(noteLength) { this.noteLength = noteLength; } // Update note length for slice calculation
@@ -77,20 +132,40 @@ class SequencerEngine {
   setBreakbeatPitch(pitch) { this.breakbeatPitch = pitch; } // Pitch adjustment in semitones
   
   setBreakbeatBuffer(buffer) { this.breakbeatBuffer = buffer; }
+  setSliceMode(mode) { this.sliceMode = mode; }
+  setSlicePoints(points) { this.slicePoints = points; }
+  setBreakbeatLayered(layered) { this.breakbeatLayered = layered; }
+  setSliceSettings(sliceIndex, settings) { this.sliceSettings[sliceIndex] = { ...DEFAULT_SLICE_SETTINGS, ...settings }; }
+  setBreakbeatStretch(mode) { this.breakbeatStretch = mode; }
+  setStretchedBreakbeat(source, factor, buffer) { this._stretched = { source, factor, buffer }; }
+  // Factor of the stretched copy prepared for `source`, or null if there is none
+  stretchedBreakbeatFactor(source) { return this._stretched && this._stretched.source === source ? this._stretched.factor : null; }
+
+  // Length factor the breakbeat needs in 'stretch' mode: tempo-matched, pre-lengthened by the pitch
+  // ratio that playback then speeds it up by (so pitch shifting leaves the duration alone)
+  breakbeatStretchFactor() {
+    return (this.breakbeatBPM / this.currentBPM) * Math.pow(2, this.breakbeatPitch / 12);
+  }
   
-  playBreakbeatSlice(sliceIndex, totalSlices, when=null, velocity=127) {
-    console.log('playBreakbeatSlice called:', { sliceIndex, totalSlices, hasBuffer: !!this.breakbeatBuffer, muted: this.muted[sliceIndex], volume: this.volumes[sliceIndex] });
+  // opts.volume and opts.muted override the engine's per-row state for this hit, so callers that share
+  // row indices (slices vs. voices) don't have to write it first and race the deferred playback
+  playBreakbeatSlice(sliceIndex, totalSlices, when=null, velocity=127, opts={}) {
+    const volume = opts.volume != null ? opts.volume : this.volumes[sliceIndex];
+    const muted = opts.muted != null ? opts.muted : this.muted[sliceIndex];
+    console.log('playBreakbeatSlice called:', { sliceIndex, totalSlices, hasBuffer: !!this.breakbeatBuffer, muted, volume });
     
     if (!this.breakbeatBuffer) {
       console.error('No breakbeat buffer!');
       return;
     }
-    if (this.muted[sliceIndex]) {
+    if (muted) {
       console.log('Slice is muted:', sliceIndex);
       return;
     }
+    const region = sliceRegion(sliceIndex, totalSlices, this.sliceMode, this.slicePoints);
+    if (!region) return; // No marker for this row
     
-    const buffer = this.breakbeatBuffer;
+    let buffer = this.breakbeatBuffer;
     console.log('Buffer duration:', buffer.duration, 'BPM ratio:', this.currentBPM, '/', this.breakbeatBPM);
     
     // Calculate playback rate to time-stretch the breakbeat to match current BPM
@@ -102,7 +177,15 @@ class SequencerEngine {
     const pitchPlaybackRate = Math.pow(2, this.breakbeatPitch / 12);
     
     // Combine tempo and pitch adjustments
-    const playbackRate = tempoPlaybackRate * pitchPlaybackRate;
+    let playbackRate = tempoPlaybackRate * pitchPlaybackRate;
+
+    // Stretch mode plays the time-stretched copy (already at the target tempo) at just the pitch ratio.
+    // A copy prepared for an earlier BPM/pitch is corrected through the rate until the new one is ready.
+    const stretched = this._stretched;
+    if (this.breakbeatStretch === 'stretch' && stretched && stretched.source === buffer) {
+      playbackRate = pitchPlaybackRate * stretched.factor / this.breakbeatStretchFactor();
+      buffer = stretched.buffer;
+    }
     
     // Calculate how long each slice should be at the current BPM and note length
     // The whole breakbeat is assumed to be one bar (4 beats) at breakbeatBPM
@@ -121,9 +204,19 @@ class SequencerEngine {
     // Duration of one note at current BPM
     const oneNoteDuration = 60 / this.currentBPM / divisor;
     
+    // Per-slice modifiers: pitch offset on top of the global rate; reversed slices play from the
+    // slice's end backwards through a reversed copy of the buffer
+    const settings = this.sliceSettings[sliceIndex] || DEFAULT_SLICE_SETTINGS;
+    const rate = playbackRate * Math.pow(2, settings.pitch / 12);
+    const sourceBuffer = settings.reverse ? this._getReversedBuffer(buffer) : buffer;
+    
     // Start offset in the original audio buffer
-    const startOffset = sliceIndex * (buffer.duration / totalSlices);
-    const sliceBufferDuration = buffer.duration / totalSlices;
+    const startOffset = (settings.reverse ? 1 - region.end : region.start) * buffer.duration;
+    
+    // Stutter retriggers the slice `stutter` times within the step; a gate below 1 cuts every hit short
+    const hits = Math.max(1, settings.stutter | 0);
+    const hitSpacing = oneNoteDuration / hits;
+    const gateLength = settings.gate < 1 ? hitSpacing * settings.gate : null;
     
     const playTime = (typeof when==='number')? when : this.audioCtx.currentTime;
     const now = this.audioCtx.currentTime;
@@ -140,107 +233,109 @@ class SequencerEngine {
       const fadeOutTime = 0.002; // 2ms quick fadeout
       try {
         const stopAtBase = Math.max(now, playTime);
-        const stopAt = stopAtBase + fadeOutTime;
-        for (const s of this._breakbeatSources) {
-          const gain = this._scheduledGains.get(s);
-          if (gain && gain.gain) {
-            try {
-              const currentGain = gain.gain.value;
-              gain.gain.cancelScheduledValues(stopAtBase);
-              // Keep current level until stopAtBase, then fade out
-              gain.gain.setValueAtTime(currentGain, stopAtBase);
-              gain.gain.linearRampToValueAtTime(0.0001, stopAt);
-            } catch (e) {}
+        for (const [s, info] of this._breakbeatSources) {
+          // Layered slices only cut an earlier hit of the same slice (so continuous hits can't pile up)
+          // or earlier slices in their own choke group
+          if (this.breakbeatLayered) {
+            if (info.startTime >= playTime) continue;
+            const other = this.sliceSettings[info.sliceIndex] || DEFAULT_SLICE_SETTINGS;
+            const sameChoke = settings.choke && other.choke === settings.choke;
+            if (info.sliceIndex !== sliceIndex && !sameChoke) continue;
           }
-          try {
-            if (typeof s.stop === 'function') {
-              s.stop(stopAt);
-            }
-          } catch (e) {}
+          try { this._fadeOutSource(s, stopAtBase, fadeOutTime); } catch (e) {}
+          this._breakbeatSources.delete(s);
         }
-        this._breakbeatSources.clear();
       } catch (e) {}
       
-      const source = this.audioCtx.createBufferSource();
-      source.buffer = buffer;
-      // Set playback rate to time-stretch and pitch shift
-      // Set at currentTime and playTime to ensure value is applied even for future-scheduled starts
-      try {
-        source.playbackRate.setValueAtTime(playbackRate, this.audioCtx.currentTime);
-        source.playbackRate.setValueAtTime(playbackRate, playTime);
-      } catch (e) {
-        console.error('Error setting playbackRate:', playbackRate, e);
-      }
-      
-      const gain = this.audioCtx.createGain();
       const velocityFactor = (velocity / 127) || 1.0;
-      let targetGain = this.volumes[sliceIndex] * velocityFactor;
+      let targetGain = volume * velocityFactor;
       if (!isFinite(targetGain) || targetGain <= 0) {
         console.warn('Invalid targetGain for slice', sliceIndex, 'computed:', targetGain, 'falling back to 1.0');
         targetGain = 1.0;
       }
-      // Apply gain at currentTime and playTime to be safe
-      gain.gain.setValueAtTime(targetGain, this.audioCtx.currentTime);
-      gain.gain.setValueAtTime(targetGain, playTime);
-      
-      source.connect(gain);
-      gain.connect(this.audioCtx.destination);
       
-      try { 
-        this._scheduledSources.add(source);
-        this._scheduledGains.set(source, gain);
-        this._breakbeatSources.add(source);
-      } catch (e) {}
-      
-      if (isOneShot) {
-        // One-shot mode: play only the slice duration, then fade and stop
-        const fadeDuration = Math.min(0.01, oneNoteDuration * 0.1);
-        const fadeStart = playTime + oneNoteDuration - fadeDuration;
-        
-        // Schedule fade out at the end
-        gain.gain.setValueAtTime(targetGain, fadeStart);
-        gain.gain.linearRampToValueAtTime(0.0001, fadeStart + fadeDuration);
-        
-        // Play the slice - use stop() to control duration, NOT the duration parameter!
-        try {
-          console.log('Starting one-shot playback:', { playTime, now: this.audioCtx.currentTime, startOffset, oneNoteDuration, playbackRate, targetGain });
-          console.log('Source connected?', !!source.numberOfOutputs, 'Gain connected?', !!gain.numberOfOutputs);
-          console.log('Gain current value (immediate):', gain.gain.value);
-          source.start(playTime, startOffset);
-          // Stop a tiny bit after the fade to ensure the fade has time to finish
-          const stopMargin = 0.02; // 20ms tail
-          source.stop(playTime + oneNoteDuration + stopMargin);
-        } catch (e) {
-          console.error('Error starting one-shot source:', e);
-        }
-      } else {
-        // Continuous mode: play the whole slice, let it run until stopped by next trigger
-        try {
-          console.log('Starting continuous playback:', { playTime, now: this.audioCtx.currentTime, startOffset, playbackRate, targetGain });
-          source.start(playTime, startOffset);
-        } catch (e) {
-          console.error('Error starting continuous source:', e);
-        }
-        // No fade out, no stop scheduled - will be stopped by next slice trigger
+      for (let k = 0; k < hits; k++) {
+        // One-shot hits last a step (or stutter subdivision); in continuous mode the last hit runs on
+        const duration = gateLength || (isOneShot || k < hits - 1 ? hitSpacing : null);
+        this._startBreakbeatHit(sliceIndex, sourceBuffer, startOffset, playTime + k * hitSpacing, duration, rate, targetGain);
       }
-      
-      source.onended = () => {
-        console.log('breakbeat source ended:', { sliceIndex, now: this.audioCtx.currentTime });
-        try { source.disconnect(); } catch (e) {}
-        try { gain.disconnect(); } catch (e) {}
-        try { 
-          this._scheduledSources.delete(source);
-          this._scheduledGains.delete(source);
-          this._breakbeatSources.delete(source);
-        } catch (e) {}
-        if (this.onSliceEnded && this._breakbeatSources.size === 0) {
-          this.onSliceEnded();
-        }
-      };
     }).catch((err)=>{ 
       console.error('Error in playBreakbeatSlice promise:', err);
     });
   }
+  
+  // One breakbeat source from `offset` at `playTime`; with a duration it fades and stops after it,
+  // otherwise it plays until the next slice stops it
+  _startBreakbeatHit(sliceIndex, buffer, offset, playTime, duration, playbackRate, targetGain) {
+    const source = this.audioCtx.createBufferSource();
+    source.buffer = buffer;
+    // Set playback rate to time-stretch and pitch shift
+    // Set at currentTime and playTime to ensure value is applied even for future-scheduled starts
+    try {
+      source.playbackRate.setValueAtTime(playbackRate, this.audioCtx.currentTime);
+      source.playbackRate.setValueAtTime(playbackRate, playTime);
+    } catch (e) {
+      console.error('Error setting playbackRate:', playbackRate, e);
+    }
+    
+    const gain = this.audioCtx.createGain();
+    // Apply gain at currentTime and playTime to be safe
+    gain.gain.setValueAtTime(targetGain, this.audioCtx.currentTime);
+    gain.gain.setValueAtTime(targetGain, playTime);
+    
+    source.connect(gain);
+    gain.connect(this.audioCtx.destination);
+    
+    try { 
+      this._scheduledSources.add(source);
+      this._scheduledGains.set(source, gain);
+      this._breakbeatSources.set(source, { sliceIndex, startTime: playTime });
+    } catch (e) {}
+    
+    if (duration) {
+      // One-shot: play only the given duration, then fade and stop
+      const fadeDuration = Math.min(0.01, duration * 0.1);
+      const fadeStart = playTime + duration - fadeDuration;
+      
+      // Schedule fade out at the end
+      gain.gain.setValueAtTime(targetGain, fadeStart);
+      gain.gain.linearRampToValueAtTime(0.0001, fadeStart + fadeDuration);
+      
+      // Play the slice - use stop() to control duration, NOT the duration parameter!
+      try {
+        console.log('Starting one-shot playback:', { playTime, now: this.audioCtx.currentTime, offset, duration, playbackRate, targetGain });
+        source.start(playTime, offset);
+        // Stop a tiny bit after the fade to ensure the fade has time to finish
+        const stopMargin = 0.02; // 20ms tail
+        source.stop(playTime + duration + stopMargin);
+      } catch (e) {
+        console.error('Error starting one-shot source:', e);
+      }
+    } else {
+      // Continuous mode: play the whole slice, let it run until stopped by next trigger
+      try {
+        console.log('Starting continuous playback:', { playTime, now: this.audioCtx.currentTime, offset, playbackRate, targetGain });
+        source.start(playTime, offset);
+      } catch (e) {
+        console.error('Error starting continuous source:', e);
+      }
+      // No fade out, no stop scheduled - will be stopped by next slice trigger
+    }
+    
+    source.onended = () => {
+      console.log('breakbeat source ended:', { sliceIndex, now: this.audioCtx.currentTime });
+      try { source.disconnect(); } catch (e) {}
+      try { gain.disconnect(); } catch (e) {}
+      try { 
+        this._scheduledSources.delete(source);
+        this._scheduledGains.delete(source);
+        this._breakbeatSources.delete(source);
+      } catch (e) {}
+      if (this.onSliceEnded && this._breakbeatSources.size === 0) {
+        this.onSliceEnded();
+      }
+    };
+  }
 
   async _resumeAudioContextIfNeeded(){
     try {
@@ -283,9 +378,12 @@ class SequencerEngine {
     }
   }
 
-  triggerRow(rowIndex, when=null, velocity=127){ 
+  // opts.mode ('sample'|'midi') and opts.channel override the engine's mode and MIDI channel for this hit (extra tracks);
+  // opts.volume and opts.muted override the row's volume and mute, as for playBreakbeatSlice
+  triggerRow(rowIndex, when=null, velocity=127, opts={}){ 
     if (rowIndex<0||rowIndex>=this.numRows) return; 
-    if (this.muted[rowIndex]) return; 
+    if (opts.muted != null ? opts.muted : this.muted[rowIndex]) return; 
+    const volume = opts.volume != null ? opts.volume : this.volumes[rowIndex];
     const playTime = (typeof when==='number')? when : this.audioCtx.currentTime; 
     
     // Trigger visual feedback callback
@@ -294,8 +392,8 @@ class SequencerEngine {
     }
     
     this._resumeAudioContextIfNeeded().then(()=>{ 
-      if (this.mode==='sample') this._playSample(rowIndex, playTime, velocity); 
-      else this._playMidiNote(rowIndex, playTime, velocity); 
+      if ((opts.mode || this.mode)==='sample') this._playSample(rowIndex, playTime, velocity, volume); 
+      else this._playMidiNote(rowIndex, playTime, velocity, opts.channel, volume); 
     }).catch(()=>{}); 
   }
 
@@ -309,18 +407,7 @@ class SequencerEngine {
     try {
       for (const s of this._scheduledSources) {
         try {
-          // If we have a tracked gain node, fade it out
-          const gain = this._scheduledGains.get(s);
-          if (gain && gain.gain) {
-            const currentGain = gain.gain.value;
-            gain.gain.cancelScheduledValues(now);
-            gain.gain.setValueAtTime(currentGain, now);
-            gain.gain.linearRampToValueAtTime(0.0001, now + fadeOutTime);
-          }
-          // Stop the source after fadeout
-          if (typeof s.stop === 'function') {
-            s.stop(now + fadeOutTime);
-          }
+          this._fadeOutSource(s, now, fadeOutTime);
         } catch (e) {
           // If already stopped or in invalid state, try disconnect
           try { if (s.disconnect) s.disconnect(); } catch (e2) {}
@@ -330,96 +417,1507 @@ class SequencerEngine {
     this._scheduledSources.clear();
     this._scheduledGains.clear();
     this._breakbeatSources.clear();
+    this._sampleSources.clear();
+  }
+
+  // Fade a tracked source's gain to silence from `at` and stop it once the fade is done
+  _fadeOutSource(source, at, fadeOutTime) {
+    // If we have a tracked gain node, fade it out
+    const gain = this._scheduledGains.get(source);
+    if (gain && gain.gain) {
+      const currentGain = gain.gain.value;
+      gain.gain.cancelScheduledValues(at);
+      gain.gain.setValueAtTime(currentGain, at);
+      gain.gain.linearRampToValueAtTime(0.0001, at + fadeOutTime);
+    }
+    // Stop the source after fadeout
+    if (typeof source.stop === 'function') {
+      source.stop(at + fadeOutTime);
+    }
+  }
+
+  // Cut every sample still sounding (started before `time`) in rowIndex's choke group, at `time`
+  _chokeGroupAt(rowIndex, time) {
+    const group = this.chokeGroups[rowIndex];
+    if (!group) return;
+    const fadeOutTime = 0.005;
+    for (const [source, info] of this._sampleSources) {
+      if (this.chokeGroups[info.rowIndex] !== group || info.startTime >= time) continue;
+      try { this._fadeOutSource(source, time, fadeOutTime); } catch (e) {}
+      this._sampleSources.delete(source);
+    }
+  }
+
+  // Render hits through an OfflineAudioContext using the same voice code as live playback.
+  // scheduleFn receives a throwaway engine bound to the offline context and schedules every hit on it.
+  // The release tail past `duration` is wrapped back onto the start so the result loops seamlessly.
+  async renderOffline(duration, scheduleFn, opts = {}) {
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) throw new Error('OfflineAudioContext not supported');
+    const sampleRate = opts.sampleRate || this.audioCtx.sampleRate || 44100;
+    const tail = typeof opts.tail === 'number' ? opts.tail : 2;
+    const loopLength = Math.max(1, Math.round(duration * sampleRate));
+    const offlineCtx = new OfflineCtx(2, loopLength + Math.round(tail * sampleRate), sampleRate);
+
+    // Shadow the live engine: same buffers and settings, but its own context, node bookkeeping and no UI/MIDI side effects
+    const offline = Object.create(this);
+    Object.assign(offline, {
+      audioCtx: offlineCtx,
+      midiOutput: null, // MIDI mode renders through the oscillator fallback
+      muted: this.muted.slice(),
+      volumes: this.volumes.slice(),
+      onSliceTriggered: null,
+      onSliceEnded: null,
+      onRowTriggered: null,
+      _scheduledTimeouts: new Set(),
+      _scheduledSources: new Set(),
+      _scheduledGains: new Map(),
+      _breakbeatSources: new Map(),
+      _sampleSources: new Map(),
+      // An offline context can't be resumed before rendering starts
+      _resumeAudioContextIfNeeded: () => Promise.resolve()
+    });
+
+    scheduleFn(offline);
+    // Voices are created in promise callbacks; let them run before rendering starts
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const rendered = await offlineCtx.startRendering();
+
+    const looped = this.audioCtx.createBuffer(rendered.numberOfChannels, loopLength, sampleRate);
+    for (let c = 0; c < rendered.numberOfChannels; c++) {
+      const src = rendered.getChannelData(c);
+      const out = looped.getChannelData(c);
+      out.set(src.subarray(0, loopLength));
+      for (let i = loopLength; i < src.length; i++) out[(i - loopLength) % loopLength] += src[i];
+    }
+    return looped;
+  }
+
+  // Convert an audio-clock time to a performance.now() timestamp (ms) for MIDIOutput.send
+  _audioTimeToPerfMs(time) {
+    const nowAudio = this.audioCtx.currentTime;
+    const nowPerf = performance.now() / 1000;
+    return (time + nowPerf - nowAudio) * 1000;
+  }
+
+  // Inverse of _audioTimeToPerfMs: map a MIDI event timestamp (performance.now() ms) onto the audio clock
+  perfMsToAudioTime(ms) {
+    const nowAudio = this.audioCtx.currentTime;
+    const nowPerf = performance.now() / 1000;
+    return ms / 1000 - nowPerf + nowAudio;
+  }
+
+  // Send a system real-time/common message if clock is enabled for the current output
+  _sendClockMessage(msg, time) {
+    const out = this.midiOutput;
+    if (!out || typeof out.send !== 'function' || !this.midiClockOutputIds.has(out.id)) return;
+    try { out.send(msg, Math.round(this._audioTimeToPerfMs(time))); }
+    catch (e) { try { out.send(msg); } catch (e2) {} }
+  }
+
+  // Song Position Pointer: position counted in 16th notes (6 clocks each)
+  sendSongPosition(sixteenths, time) {
+    const pos = Math.max(0, Math.min(0x3FFF, sixteenths | 0));
+    this._sendClockMessage([0xF2, pos & 0x7F, (pos >> 7) & 0x7F], time);
+  }
+
+  // Start transport on the MIDI output: SPP, Start (or Continue when joining mid-song), then 24 PPQN
+  // clock pulses from `time`
+  startClock(time, songPosition = 0, resume = false) {
+    this.sendSongPosition(songPosition, time);
+    this._sendClockMessage([resume ? 0xFB : 0xFA], time);
+    this._clockRunning = true;
+    this._nextClockTime = time;
+    this._lastClockTime = time;
+  }
+
+  // Emit clock pulses up to `untilTime`; called from the lookahead scheduler so pulses share its timing
+  scheduleClock(untilTime) {
+    if (!this._clockRunning) return;
+    const bpm = Number(this.currentBPM) || 120;
+    while (this._nextClockTime < untilTime) {
+      this._sendClockMessage([0xF8], this._nextClockTime);
+      this._lastClockTime = this._nextClockTime;
+      this._nextClockTime += 60 / bpm / 24;
+    }
+  }
+
+  // Stop after the last pulse already queued so the receiver never sees clocks after Stop
+  stopClock() {
+    if (!this._clockRunning) return;
+    this._clockRunning = false;
+    this._sendClockMessage([0xFC], Math.max(this.audioCtx.currentTime, this._lastClockTime));
+  }
+
+  // Reversed copy of a buffer (cached, since reversing is done once per sample rather than per hit)
+  _getReversedBuffer(buffer) {
+    let reversed = this._reversedBuffers.get(buffer);
+    if (!reversed) {
+      reversed = this.audioCtx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+      for (let c = 0; c < buffer.numberOfChannels; c++) {
+        reversed.getChannelData(c).set(buffer.getChannelData(c).slice().reverse());
+      }
+      this._reversedBuffers.set(buffer, reversed);
+    }
+    return reversed;
+  }
+
+  _playSample(rowIndex, time, velocity, volume = this.volumes[rowIndex]) {
+    const buffer = this.sampleBuffers[rowIndex];
+    if (!buffer) {
+      this._playOscillatorFallback(rowIndex, time, velocity, volume);
+      return;
+    }
+    const settings = this.sampleSettings[rowIndex] || DEFAULT_SAMPLE_SETTINGS;
+
+    // Trim region in the original (forward) buffer; reversed playback runs from its end back to its start
+    const regionStart = Math.max(0, Math.min(1, settings.start)) * buffer.duration;
+    const regionEnd = Math.max(regionStart, Math.min(1, settings.end) * buffer.duration);
+    const offset = settings.reverse ? buffer.duration - regionEnd : regionStart;
+    const rate = Math.pow(2, ((settings.semitones || 0) + (settings.cents || 0) / 100) / 12);
+
+    const source = this.audioCtx.createBufferSource();
+    source.buffer = settings.reverse ? this._getReversedBuffer(buffer) : buffer;
+    source.playbackRate.setValueAtTime(rate, time);
+    const gain = this.audioCtx.createGain();
+    const velocityFactor = (velocity / 127) || 1.0;
+    const targetGain = volume * velocityFactor;
+
+    // Envelope: optional linear attack, then hold for 60% of the decay and fade out over the rest
+    const attack = Math.max(0, settings.attack || 0) / 1000;
+    const decay = settings.decay > 0 ? settings.decay / 1000 : this.defaultNoteLength;
+    if (attack > 0) {
+      gain.gain.setValueAtTime(0.0001, time);
+      gain.gain.linearRampToValueAtTime(targetGain, time + attack);
+    } else {
+      gain.gain.setValueAtTime(targetGain, time);
+    }
+
+    const fadeStart = time + attack + Math.max(0.001, decay * 0.6);
+    const fadeDuration = Math.max(0.01, decay * 0.4);
+    gain.gain.setValueAtTime(targetGain, fadeStart);
+    gain.gain.linearRampToValueAtTime(0.0001, fadeStart + fadeDuration);
+
+    source.connect(gain);
+    gain.connect(this.audioCtx.destination);
+    this._chokeGroupAt(rowIndex, time);
+    try { 
+      this._scheduledSources.add(source);
+      this._scheduledGains.set(source, gain);
+      this._sampleSources.set(source, { rowIndex, startTime: time });
+    } catch (e) {}
+    source.start(time, offset);
+    const stopTime = Math.min(time + (regionEnd - regionStart) / rate, fadeStart + fadeDuration + 0.05);
+    source.stop(stopTime);
+    source.onended = () => {
+      try { source.disconnect(); } catch (e) {}
+      try { gain.disconnect(); } catch (e) {}
+      try { 
+        this._scheduledSources.delete(source);
+        this._scheduledGains.delete(source);
+        this._sampleSources.delete(source);
+      } catch (e) {}
+    };
+  }
+
+  _playMidiNote(rowIndex, time, velocity, channel=null, volume=this.volumes[rowIndex]){ const noteNumber = this.midiNotes[rowIndex]|0; const vel = Math.max(0,Math.min(127,velocity|0)); const chan = (((channel || this.midiChannelsPerRow[rowIndex] || this.midiChannel)-1)&0xF); const gate = this._gateSeconds(rowIndex); const sendNoteOff = !this.noNoteOffPerRow[rowIndex]; const statusOn = 0x90|chan; const statusOff = 0x80|chan; const noteOnMsg=[statusOn,noteNumber,vel]; const noteOffMsg=[statusOff,noteNumber,0]; const noteOnPerfMs = this._audioTimeToPerfMs(time); const noteOffPerfMs = this._audioTimeToPerfMs(time + gate);
+    if (this.midiOutput && typeof this.midiOutput.send==='function'){
+      try{ this.midiOutput.send(noteOnMsg, Math.round(noteOnPerfMs)); if (sendNoteOff) this.midiOutput.send(noteOffMsg, Math.round(noteOffPerfMs)); }
+      catch(e){ this.midiOutput.send(noteOnMsg); if (!sendNoteOff) return; const msDelay=Math.max(0,gate*1000); const id=setTimeout(()=>{ try{ this.midiOutput.send(noteOffMsg) }catch(e){} this._scheduledTimeouts.delete(id); }, msDelay); this._scheduledTimeouts.add(id); }
+    } else {
+      // Only use oscillator fallback if no MIDI output is available
+      this._playOscillatorFallback(rowIndex, time, velocity, volume);
+    }
+  }
+
+  _playOscillatorFallback(rowIndex, time, velocity, volume = this.volumes[rowIndex]) {
+    const osc = this.audioCtx.createOscillator();
+    const gain = this.audioCtx.createGain();
+    const midiNote = (this.midiNotes[rowIndex] || 60);
+    const freq = 440 * Math.pow(2, (midiNote - 69) / 12);
+    osc.frequency.setValueAtTime(freq, time);
+    osc.type = 'sine';
+    const velocityFactor = (velocity / 127) || 1.0;
+    const initGain = Math.max(0, Math.min(1, volume * velocityFactor * 0.15));
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.linearRampToValueAtTime(initGain, time + 0.005);
+    const releaseStart = time + Math.max(0.01, this.defaultNoteLength * 0.6);
+    gain.gain.setValueAtTime(initGain, releaseStart);
+    gain.gain.linearRampToValueAtTime(0.0001, releaseStart + Math.max(0.02, this.defaultNoteLength * 0.4));
+    osc.connect(gain);
+    gain.connect(this.audioCtx.destination);
+    try { 
+      this._scheduledSources.add(osc);
+      this._scheduledGains.set(osc, gain);
+    } catch (e) {}
+    osc.start(time);
+    const stopAt = releaseStart + Math.max(0.02, this.defaultNoteLength * 0.4) + 0.05;
+    osc.stop(stopAt);
+    osc.onended = () => {
+      try { osc.disconnect(); } catch (e) {}
+      try { gain.disconnect(); } catch (e) {}
+      try { 
+        this._scheduledSources.delete(osc);
+        this._scheduledGains.delete(osc);
+      } catch (e) {}
+    };
+  }
+}
+
+// -------------------- Sample / waveform helpers --------------------
+// Per-voice sample playback settings. start/end are fractions of the sample; attack/decay are in ms
+// (decay = time from the end of the attack until silence; 300ms matches the engine's default note length)
+const DEFAULT_SAMPLE_SETTINGS = { start: 0, end: 1, reverse: false, semitones: 0, cents: 0, attack: 0, decay: 300 };
+
+// Per-slice breakbeat modifiers: pitch in semitones, stutter = hits per step, gate = fraction of each hit,
+// choke = group whose other slices this one cuts in layered mode (0 = none)
+const DEFAULT_SLICE_SETTINGS = { reverse: false, pitch: 0, stutter: 1, gate: 1, choke: 0 };
+const STUTTER_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+// SVG path for a min/max waveform (from generateWaveform) drawn as a filled area (CDJ style)
+function waveformPath(waveform, width, height) {
+  const mid = height / 2;
+  const scale = mid * 0.875;
+  const topPath = waveform.map((v, i) => {
+    const x = (i / waveform.length) * width;
+    const y = mid + (v.min * scale); // Top part (negative values go up)
+    return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
+  }).join(' ');
+
+  const bottomPath = waveform.slice().reverse().map((v, i) => {
+    const x = ((waveform.length - 1 - i) / waveform.length) * width;
+    const y = mid + (v.max * scale); // Bottom part (positive values go down)
+    return `L ${x} ${y}`;
+  }).join(' ');
+
+  return topPath + ' ' + bottomPath + ' Z';
+}
+
+// -------------------- Breakbeat slicing --------------------
+// Region of the breakbeat played by a slice row, as { start, end } fractions of the buffer.
+// 'equal' cuts the loop into totalSlices even pieces; 'transient' plays from sorted slicePoints
+// (slice i runs from marker i to marker i+1), so rows past the last marker have no region (null).
+function sliceRegion(sliceIndex, totalSlices, sliceMode, slicePoints) {
+  if (sliceMode === 'transient') {
+    if (sliceIndex >= slicePoints.length) return null;
+    const end = sliceIndex + 1 < slicePoints.length ? slicePoints[sliceIndex + 1] : 1;
+    return { start: slicePoints[sliceIndex], end };
+  }
+  return { start: sliceIndex / totalSlices, end: (sliceIndex + 1) / totalSlices };
+}
+
+// Onset strength per ONSET_HOP-sample block (~11ms): the positive rise in log-energy of the first
+// difference (which emphasises attacks), normalised to 0..1 (all zero for silence). Also returns the
+// mono mix it was measured on.
+const ONSET_HOP = 512;
+
+function onsetStrength(audioBuffer) {
+  const length = audioBuffer.length;
+  const mono = new Float32Array(length);
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+  }
+
+  const hop = ONSET_HOP;
+  const blocks = Math.floor(length / hop);
+  const energy = new Float32Array(blocks);
+  for (let b = 0; b < blocks; b++) {
+    let sum = 0;
+    for (let i = b * hop + 1; i < (b + 1) * hop; i++) {
+      const d = mono[i] - mono[i - 1];
+      sum += d * d;
+    }
+    energy[b] = Math.log(1e-9 + sum / hop);
+  }
+
+  const flux = new Float32Array(blocks);
+  let maxFlux = 0;
+  for (let b = 1; b < blocks; b++) {
+    flux[b] = Math.max(0, energy[b] - energy[b - 1]);
+    maxFlux = Math.max(maxFlux, flux[b]);
+  }
+  if (maxFlux > 0) for (let b = 0; b < blocks; b++) flux[b] /= maxFlux;
+  return { mono, flux };
+}
+
+// Onset detection for transient slicing: a block whose onset strength stands out from its neighbourhood
+// is an onset, then the exact point is refined to the attack's first loud sample and backed up to the
+// preceding zero crossing so slices start click-free. Returns sorted fractions, always starting at 0.
+// sensitivity (0..1) lowers the threshold; minGap (seconds) stops flams from producing double markers.
+function detectTransients(audioBuffer, sensitivity = 0.5, minGap = 0.05) {
+  const { mono, flux } = onsetStrength(audioBuffer);
+  const length = audioBuffer.length;
+  const hop = ONSET_HOP;
+  const blocks = flux.length;
+
+  const neighbours = 8; // Blocks either side for the local mean
+  const offset = 0.05 + (1 - sensitivity) * 0.4;
+  const minGapSamples = minGap * audioBuffer.sampleRate;
+  const onsets = [];
+  for (let b = 1; b < blocks - 1; b++) {
+    if (flux[b] < flux[b - 1] || flux[b] < flux[b + 1]) continue; // Local peaks only
+    let mean = 0;
+    let count = 0;
+    for (let k = Math.max(0, b - neighbours); k <= Math.min(blocks - 1, b + neighbours); k++) { mean += flux[k]; count++; }
+    if (flux[b] < mean / count * 1.5 + offset) continue;
+
+    // Refine: first sample in the block reaching 30% of its peak, backed up to a zero crossing
+    let peak = 0;
+    for (let i = b * hop; i < (b + 1) * hop; i++) peak = Math.max(peak, Math.abs(mono[i]));
+    let pos = b * hop;
+    while (pos < (b + 1) * hop - 1 && Math.abs(mono[pos]) < peak * 0.3) pos++;
+    const limit = Math.max(0, pos - hop);
+    while (pos > limit && mono[pos] * mono[pos - 1] > 0) pos--;
+
+    if (onsets.length && pos - onsets[onsets.length - 1] < minGapSamples) continue;
+    onsets.push(pos);
+  }
+
+  const points = onsets.map(pos => pos / length);
+  if (!points.length || points[0] * audioBuffer.duration >= minGap) points.unshift(0);
+  else points[0] = 0;
+  return points;
+}
+
+// -------------------- Tempo detection --------------------
+// Below this confidence the loader falls back to a BPM found in the file name
+const TEMPO_CONFIDENCE_THRESHOLD = 0.2;
+// Centre of the log-tempo prior used to break half/double-time ties (typical breakbeat tempo)
+const TEMPO_PRIOR_BPM = 130;
+
+// Estimates a loop's tempo from the circular autocorrelation of its onset strength (a loop wraps, so its
+// end lines up with its start). Candidates from 60 to 200 BPM are scored on their beat, half-bar and bar
+// lags, weighted towards whole-bar loop lengths and TEMPO_PRIOR_BPM to settle half/double-time ambiguity, then
+// snapped to a whole number of beats across the loop when that's within 2%. Confidence is how far the winner stands out from the
+// typical candidate. Returns { bpm, bars, confidence, half, double }, or null for silent/short buffers.
+function detectTempo(audioBuffer) {
+  const { flux } = onsetStrength(audioBuffer);
+  const n = flux.length;
+  const frameRate = audioBuffer.sampleRate / ONSET_HOP;
+  if (n < frameRate) return null; // Under a second
+
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += flux[i] / n;
+  const env = flux.map(v => v - mean);
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += env[i] * env[i];
+  if (energy === 0) return null;
+
+  const acfAtLag = (lag) => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += env[i] * env[(i + lag) % n];
+    return sum / energy;
+  };
+  const acf = (lag) => { // Linearly interpolated for fractional lags
+    const lo = Math.floor(lag);
+    const frac = lag - lo;
+    return acfAtLag(lo % n) * (1 - frac) + acfAtLag((lo + 1) % n) * frac;
+  };
+
+  const candidates = [];
+  for (let bpm = 60; bpm <= 200; bpm += 0.25) {
+    // Lags past half the loop would wrap back round onto the start and correlate perfectly
+    const lags = [1, 2, 4].map(k => k * frameRate * 60 / bpm).filter(lag => lag <= n / 2);
+    if (!lags.length) continue;
+    const score = lags.reduce((sum, lag) => sum + acf(lag), 0) / 3;
+    // Loops are usually cut to whole bars, so tempos that fit a whole number of bars (or at least
+    // beats) across the buffer are favoured, as are tempos near TEMPO_PRIOR_BPM
+    const beats = bpm * audioBuffer.duration / 60;
+    const fits = (count) => count >= 1 && Math.abs(count - Math.round(count)) < 0.05;
+    const weight = Math.exp(-2 * Math.pow(Math.log2(bpm / TEMPO_PRIOR_BPM), 2)) * (fits(beats / 4) ? 1 : fits(beats) ? 0.85 : 0.7);
+    candidates.push({ bpm, score, weighted: score * weight });
+  }
+  const best = candidates.reduce((a, c) => (c.weighted > a.weighted ? c : a));
+  const scores = candidates.map(c => c.score).sort((a, b) => a - b);
+  const median = scores[Math.floor(scores.length / 2)];
+  const confidence = Math.max(0, Math.min(1, (best.score - median) / (1 - median)));
+
+  let bpm = best.bpm;
+  const beats = bpm * audioBuffer.duration / 60;
+  const wholeBeats = Math.round(beats);
+  if (wholeBeats > 0 && Math.abs(beats - wholeBeats) / wholeBeats < 0.02) bpm = wholeBeats * 60 / audioBuffer.duration;
+  bpm = Math.round(bpm * 100) / 100;
+
+  return {
+    bpm,
+    bars: Math.max(1, Math.round(bpm * audioBuffer.duration / 60 / 4)),
+    confidence,
+    half: Math.round(bpm * 50) / 100,
+    double: Math.round(bpm * 200) / 100
+  };
+}
+
+// -------------------- Time-stretch --------------------
+// WSOLA (waveform-similarity overlap-add): returns channel data factor times as long at the same pitch.
+// Hann-windowed frames are laid down every outHop samples; each frame's read position is searched
+// within +-tolerance of its nominal spot for the best match with the natural continuation of the
+// previous frame, so periodic content lines up instead of phasing. Self-contained (no outside
+// references) because its source is also what runs in the stretch worker.
+function wsolaStretch(input, factor) {
+  const frameSize = 1024;
+  const outHop = frameSize / 2;
+  const inHop = outHop / factor;
+  const tolerance = 256;
+  const channels = input.length;
+  const inLength = input[0].length;
+  const outLength = Math.max(1, Math.round(inLength * factor));
+
+  const mono = new Float32Array(inLength); // Similarity search runs on the mono mix
+  for (let c = 0; c < channels; c++) {
+    for (let i = 0; i < inLength; i++) mono[i] += input[c][i] / channels;
+  }
+  const hann = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize);
+
+  const output = input.map(() => new Float32Array(outLength + frameSize));
+  const norm = new Float32Array(outLength + frameSize);
+  let prevPos = 0;
+  for (let k = 0; k * outHop < outLength; k++) {
+    let pos = Math.round(k * inHop);
+    if (k > 0) {
+      const natural = prevPos + outHop; // Where the previous frame's audio carries on
+      const lo = Math.max(0, pos - tolerance);
+      const hi = Math.min(inLength - frameSize, pos + tolerance);
+      let best = -Infinity;
+      for (let cand = lo; cand <= hi; cand++) {
+        let corr = 0;
+        for (let i = 0; i < frameSize && natural + i < inLength; i += 4) corr += mono[cand + i] * mono[natural + i];
+        if (corr > best) { best = corr; pos = cand; }
+      }
+    }
+    const outStart = k * outHop;
+    for (let i = 0; i < frameSize && pos + i < inLength; i++) {
+      const w = hann[i];
+      for (let c = 0; c < channels; c++) output[c][outStart + i] += w * input[c][pos + i];
+      norm[outStart + i] += w;
+    }
+    prevPos = pos;
+  }
+
+  return output.map(channel => {
+    const data = new Float32Array(outLength);
+    for (let i = 0; i < outLength; i++) data[i] = norm[i] > 1e-3 ? channel[i] / norm[i] : channel[i];
+    return data;
+  });
+}
+
+// Relative factor change below which an existing stretched copy is kept; playback corrects the
+// difference through its rate (under 1% is about 17 cents), so small tempo drifts (e.g. following
+// an external clock) don't restart the stretch
+const STRETCH_REUSE_TOLERANCE = 0.01;
+
+// Runs wsolaStretch in a Worker so stretching a loop doesn't block the main thread (and the
+// scheduler). One job at a time: starting a new one terminates the worker running the old one,
+// whose promise then resolves to null. Falls back to a deferred main-thread stretch without Worker.
+class BreakbeatStretcher {
+  constructor() {
+    this._worker = null;
+    this._pending = null; // resolve of the job in flight
+    this._job = null; // { source, factor } of the job in flight
+    this._workerUrl = null;
+  }
+
+  _createWorker() {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !window.URL) return null;
+    if (!this._workerUrl) {
+      const source = wsolaStretch.toString() + `
+        self.onmessage = (e) => {
+          const output = wsolaStretch(e.data.input, e.data.factor);
+          self.postMessage(output, output.map(c => c.buffer));
+        };`;
+      this._workerUrl = window.URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    }
+    try {
+      return new Worker(this._workerUrl);
+    } catch (e) {
+      console.warn('Stretch worker unavailable, stretching on the main thread:', e);
+      return null;
+    }
+  }
+
+  // Factor being stretched for `source` right now, or null
+  pendingFactor(source) { return this._job && this._job.source === source ? this._job.factor : null; }
+
+  cancel() {
+    this._job = null;
+    if (this._pending) {
+      this._pending(null);
+      this._pending = null;
+      if (this._worker) this._worker.terminate();
+      this._worker = null;
+    }
+  }
+
+  // Resolves to an AudioBuffer factor times as long as audioBuffer, or null when superseded
+  stretch(audioBuffer, factor, audioCtx) {
+    this.cancel();
+    if (Math.abs(factor - 1) < 1e-3) return Promise.resolve(audioBuffer);
+    const input = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) input.push(audioBuffer.getChannelData(c).slice());
+    const toBuffer = (channels) => {
+      const result = audioCtx.createBuffer(channels.length, channels[0].length, audioBuffer.sampleRate);
+      channels.forEach((data, c) => result.copyToChannel(data, c));
+      return result;
+    };
+    return new Promise((resolve, reject) => {
+      this._job = { source: audioBuffer, factor };
+      this._pending = resolve;
+      if (!this._worker) this._worker = this._createWorker();
+      const worker = this._worker;
+      if (!worker) {
+        const id = setTimeout(() => {
+          this._pending = this._job = null;
+          resolve(toBuffer(wsolaStretch(input, factor)));
+        }, 0);
+        this._pending = (value) => { clearTimeout(id); resolve(value); };
+        return;
+      }
+      worker.onmessage = (e) => {
+        this._pending = this._job = null;
+        resolve(toBuffer(e.data));
+      };
+      worker.onerror = (e) => {
+        this._pending = this._job = null;
+        this._worker = null;
+        worker.terminate();
+        reject(e.error || new Error(e.message || 'Stretch worker failed'));
+      };
+      worker.postMessage({ input, factor }, input.map(c => c.buffer));
+    });
+  }
+}
+
+// -------------------- Grid helpers --------------------
+// Step divisions per quarter note for each note length setting
+const NOTE_DIVISORS = { '1/4': 1, '1/8': 2, '1/16': 4, '1/32': 8 };
+
+// Selectable grid sizes; rows and columns are chosen independently so the grid may be non-square
+const GRID_ROW_OPTIONS = [16, 32, 64, 128];
+const GRID_COL_OPTIONS = [16, 32, 64, 128, 256];
+const DEFAULT_GRID_ROWS = 64, DEFAULT_GRID_COLS = 64;
+
+// Copy a row-major grid into a new size, keeping the overlapping top-left block of cells
+function resizeGrid(grid, rows, cols, newRows, newCols) {
+  const next = new Uint8Array(newRows * newCols);
+  const keepRows = Math.min(rows, newRows), keepCols = Math.min(cols, newCols);
+  for (let r = 0; r < keepRows; r++) {
+    next.set(grid.subarray(r * cols, r * cols + keepCols), r * newCols);
+  }
+  return next;
+}
+
+// The pattern persists in localStorage as { rows, cols, cells } with one velocity digit per cell
+const PATTERN_STORAGE_KEY = 'drumMatrix.pattern';
+
+function loadStoredPattern() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PATTERN_STORAGE_KEY));
+    if (!stored || !GRID_ROW_OPTIONS.includes(stored.rows) || !GRID_COL_OPTIONS.includes(stored.cols)) return null;
+    if (typeof stored.cells !== 'string' || stored.cells.length !== stored.rows * stored.cols) return null;
+    const grid = new Uint8Array(stored.rows * stored.cols);
+    for (let i = 0; i < grid.length; i++) {
+      grid[i] = Math.max(0, Math.min(VELOCITY_LEVELS, stored.cells.charCodeAt(i) - 48));
+    }
+    return { rows: stored.rows, cols: stored.cols, grid };
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveStoredPattern(rows, cols, grid) {
+  try {
+    window.localStorage.setItem(PATTERN_STORAGE_KEY, JSON.stringify({ rows, cols, cells: grid.join('') }));
+  } catch (e) {}
+}
+
+// Grid cells store a velocity level: 0 = off, VELOCITY_LEVELS = full strength
+const VELOCITY_LEVELS = 4;
+const levelToVelocity = (level) => Math.round((Math.min(level, VELOCITY_LEVELS) / VELOCITY_LEVELS) * 127);
+const velocityToLevel = (velocity) => Math.max(1, Math.min(VELOCITY_LEVELS, Math.ceil((velocity / 127) * VELOCITY_LEVELS)));
+
+// Sample and MIDI modes play 1 to MAX_VOICES voices, one per selection row
+const MAX_VOICES = 16;
+const DEFAULT_VOICE_COUNT = 4;
+// General MIDI drum notes per voice: kick, snare, closed/open hat, then toms, cymbals and percussion
+const DEFAULT_MIDI_NOTES = [36, 38, 42, 46, 41, 45, 48, 49, 51, 39, 37, 44, 56, 54, 70, 75];
+
+// Breakbeat slices are played from MIDI input chromatically upwards from this note (C1)
+const BREAKBEAT_BASE_NOTE = 36;
+
+// Loop lengths the slicer can assume; slices = steps per bar x bars, so up to 8 bars of 1/32 notes
+const BREAKBEAT_BAR_OPTIONS = [1, 2, 4, 8];
+const MAX_SLICES = 8 * 32;
+
+// -------------------- Tracks --------------------
+// Extra selections that play alongside the main one, all driven by the same transport steps.
+// A track is { id, color, mode, startRow, startCol, length, muted, firstVoice, midiChannel }:
+// sample and MIDI tracks play the voices from firstVoice down (MIDI ones on their own channel),
+// breakbeat tracks play the loaded break's slices, one per row.
+const TRACK_MODES = ['sample', 'midi', 'breakbeat'];
+const TRACK_COLORS = [
+  { r: 255, g: 102, b: 0 },
+  { r: 204, g: 0, b: 204 },
+  { r: 0, g: 170, b: 85 },
+  { r: 230, g: 170, b: 0 },
+  { r: 255, g: 0, b: 85 },
+  { r: 0, g: 170, b: 200 }
+];
+
+// Shade of a track colour for one of its rows: lightest on top, full colour on the bottom row
+function shadeRowColor(color, rowIndex, totalRows) {
+  const intensity = 0.3 + (rowIndex / totalRows) * 0.7;
+  const mix = (v) => Math.round(v + (255 - v) * (1 - intensity));
+  return { r: mix(color.r), g: mix(color.g), b: mix(color.b), intensity };
+}
+
+// -------------------- Selection walker --------------------
+// Moves the main selection by itself every few bars. walker = { mode, cols, rows, bars }:
+// 'step' moves right/down by cols/rows (wrapping at the grid edges), 'random' takes a step of that
+// size in a random direction, 'bounce' travels like 'step' but turns around at the edges and
+// 'path' visits the drawn points in turn.
+const WALKER_MODES = ['off', 'step', 'random', 'bounce', 'path'];
+const WALKER_BAR_OPTIONS = [1, 2, 4, 8];
+
+// Next top-left corner for a selection `height` rows tall inside a rows x cols grid. `state` carries
+// { dirRow, dirCol, pathIndex } from one move to the next; returns { startRow, startCol, state }.
+function walkSelection(sel, height, rows, cols, walker, path, state) {
+  const maxRow = Math.max(0, rows - height), maxCol = Math.max(0, cols - sel.length);
+  const wrap = (v, max) => ((v % (max + 1)) + max + 1) % (max + 1);
+  const clamp = (v, max) => Math.max(0, Math.min(max, v));
+
+  if (walker.mode === 'path') {
+    if (!path.length) return { startRow: sel.startRow, startCol: sel.startCol, state };
+    const pathIndex = (state.pathIndex + 1) % path.length;
+    const point = path[pathIndex];
+    return { startRow: clamp(point.row, maxRow), startCol: clamp(point.col, maxCol), state: { ...state, pathIndex } };
+  }
+  if (walker.mode === 'random') {
+    const moves = [];
+    if (walker.cols) moves.push([0, walker.cols], [0, -walker.cols]);
+    if (walker.rows) moves.push([walker.rows, 0], [-walker.rows, 0]);
+    if (!moves.length) return { startRow: sel.startRow, startCol: sel.startCol, state };
+    const [dr, dc] = moves[Math.floor(Math.random() * moves.length)];
+    return { startRow: wrap(sel.startRow + dr, maxRow), startCol: wrap(sel.startCol + dc, maxCol), state };
+  }
+  if (walker.mode === 'bounce') {
+    // Reverse a direction that would leave the grid, then take the step
+    let { dirRow, dirCol } = state;
+    if (sel.startRow + dirRow * walker.rows < 0 || sel.startRow + dirRow * walker.rows > maxRow) dirRow = -dirRow;
+    if (sel.startCol + dirCol * walker.cols < 0 || sel.startCol + dirCol * walker.cols > maxCol) dirCol = -dirCol;
+    return {
+      startRow: clamp(sel.startRow + dirRow * walker.rows, maxRow),
+      startCol: clamp(sel.startCol + dirCol * walker.cols, maxCol),
+      state: { ...state, dirRow, dirCol }
+    };
+  }
+  // 'step'
+  return { startRow: wrap(sel.startRow + walker.rows, maxRow), startCol: wrap(sel.startCol + walker.cols, maxCol), state };
+}
+
+// -------------------- Song mode --------------------
+// A scene is a stored selection { id, name, startRow, startCol, length, mode, mutes }; the song is a
+// list of entries { sceneId, bars } played top to bottom. After the loop end (loop.end, an entry
+// index; -1 = last entry) playback jumps back to loop.start.
+
+// Entry and bar within it at absolute bar `bar` of the song; null for an empty song
+function songPositionAt(bar, song, loop) {
+  if (!song.length) return null;
+  const end = loop.end < 0 ? song.length - 1 : Math.min(loop.end, song.length - 1);
+  const start = Math.max(0, Math.min(loop.start, end));
+  const barsOf = (i) => Math.max(1, song[i].bars | 0);
+  const find = (b, from) => {
+    for (let i = from; i <= end; i++) {
+      if (b < barsOf(i)) return { entry: i, bar: b };
+      b -= barsOf(i);
+    }
+    return { rest: b };
+  };
+  const first = find(bar, 0);
+  if (first.rest === undefined) return first;
+  let loopBars = 0;
+  for (let i = start; i <= end; i++) loopBars += barsOf(i);
+  return find(first.rest % loopBars, start);
+}
+
+// Loop range after the song's entries were moved or removed, so the loop points stay on the same
+// entries. `newIndexOf(i)` maps an old entry index to its new one, or -1 for a removed entry; a removed
+// loop point moves to the nearest surviving entry inside the old range.
+function remapSongLoop(loop, newIndexOf, oldLength) {
+  const nearest = (i, dir) => {
+    for (let j = i; j >= 0 && j < oldLength; j += dir) {
+      const n = newIndexOf(j);
+      if (n >= 0) return n;
+    }
+    return -1;
+  };
+  let start = nearest(loop.start, 1);
+  if (start < 0) start = Math.max(0, nearest(loop.start, -1));
+  if (loop.end < 0) return { start, end: -1 };
+  let end = nearest(loop.end, -1);
+  if (end < 0) end = nearest(loop.end, 1);
+  if (end < 0) return { start, end: -1 };
+  return { start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+// -------------------- MIDI clock follower --------------------
+// Follows an external 24 PPQN MIDI clock on a MIDIInput. Pulse timing is smoothed with a simple
+// phase-locked loop (EMA of the pulse interval plus a partial pull towards each arrival) so USB/driver
+// jitter doesn't reach the scheduled steps. Reports transport, tempo and lock state through callbacks.
+class MidiClockFollower {
+  constructor(opts = {}) {
+    this.smoothing = opts.smoothing || 0.05; // EMA factor for the pulse interval (tempo)
+    this.phaseCorrection = opts.phaseCorrection || 0.2; // How far each arrival pulls the smoothed phase
+    this.lockPulses = opts.lockPulses || 24; // Consistent pulses needed before reporting lock
+    this.timeoutMs = opts.timeoutMs || 500; // Silence after which sync is considered lost
+
+    this.input = null;
+    this.running = false; // Transport state from Start/Continue/Stop
+    this.position = 0; // Song position in clock pulses
+    this.status = 'off'; // 'off' | 'waiting' | 'locked' | 'lost'
+    this.pulseIntervalMs = 0; // Smoothed time between pulses
+    this._resetTiming();
+
+    // Callbacks
+    this.onPulse = null; // (position, smoothedTimeMs, pulseIntervalMs), only while running
+    this.onStart = null; // (position) after Start or Continue
+    this.onStop = null;
+    this.onTempo = null; // (bpm), once per beat worth of pulses
+    this.onStatusChange = null; // (status)
+
+    this._handleMessage = this._handleMessage.bind(this);
+  }
+
+  get bpm() { return this.pulseIntervalMs ? 60000 / (this.pulseIntervalMs * 24) : 0; }
+
+  attach(input) {
+    this.detach();
+    if (!input) return;
+    this.input = input;
+    input.addEventListener('midimessage', this._handleMessage);
+    this._setStatus('waiting');
+    this._watchdog = setInterval(() => {
+      if (this._lastPulseMs !== null && performance.now() - this._lastPulseMs > this.timeoutMs && this.status === 'locked') {
+        this._goodPulses = 0;
+        this._setStatus('lost');
+      }
+    }, 100);
+  }
+
+  detach() {
+    if (this.input) this.input.removeEventListener('midimessage', this._handleMessage);
+    if (this._watchdog) clearInterval(this._watchdog);
+    this._watchdog = null;
+    this.input = null;
+    this.running = false;
+    this._resetTiming();
+    this._setStatus('off');
+  }
+
+  _resetTiming() {
+    this.pulseIntervalMs = 0;
+    this._lastPulseMs = null;
+    this._smoothedPulseMs = null;
+    this._goodPulses = 0;
+    this._outliers = 0;
+    this._pulseCounter = 0;
+  }
+
+  _setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    if (this.onStatusChange) this.onStatusChange(status);
+  }
+
+  _handleMessage(e) {
+    const data = e.data;
+    if (!data || !data.length) return;
+    const ts = typeof e.timeStamp === 'number' && e.timeStamp > 0 ? e.timeStamp : performance.now();
+    switch (data[0]) {
+      case 0xF8: // Timing clock
+        this._handlePulse(ts);
+        break;
+      case 0xFA: // Start
+        this.position = 0;
+        this.running = true;
+        if (this.onStart) this.onStart(0);
+        break;
+      case 0xFB: // Continue
+        this.running = true;
+        if (this.onStart) this.onStart(this.position);
+        break;
+      case 0xFC: // Stop
+        this.running = false;
+        if (this.onStop) this.onStop();
+        break;
+      case 0xF2: // Song Position Pointer, in 16ths (6 pulses each); only honoured while stopped
+        if (!this.running && data.length >= 3) this.position = ((data[2] << 7) | data[1]) * 6;
+        break;
+      default:
+        break;
+    }
+  }
+
+  _handlePulse(ts) {
+    const last = this._lastPulseMs;
+    this._lastPulseMs = ts;
+    if (last !== null) {
+      const raw = ts - last;
+      if (!this.pulseIntervalMs || raw > this.timeoutMs) {
+        this.pulseIntervalMs = Math.min(raw, this.timeoutMs);
+        this._goodPulses = 0;
+      } else if (Math.abs(raw - this.pulseIntervalMs) < this.pulseIntervalMs * 0.5) {
+        this.pulseIntervalMs += (raw - this.pulseIntervalMs) * this.smoothing;
+        this._goodPulses++;
+        this._outliers = 0;
+      } else if (++this._outliers >= 3) {
+        // Several pulses in a row disagree: the master jumped tempo, so re-seed instead of rejecting
+        this.pulseIntervalMs = raw;
+        this._goodPulses = 0;
+        this._outliers = 0;
+      }
+    }
+
+    // Phase: predict from the smoothed interval, then nudge towards the actual arrival
+    if (this._smoothedPulseMs === null || !this.pulseIntervalMs) {
+      this._smoothedPulseMs = ts;
+    } else {
+      const predicted = this._smoothedPulseMs + this.pulseIntervalMs;
+      const error = ts - predicted;
+      this._smoothedPulseMs = Math.abs(error) > this.pulseIntervalMs * 2 ? ts : predicted + error * this.phaseCorrection;
+    }
+
+    if (this._goodPulses >= this.lockPulses) this._setStatus('locked');
+    else if (this.status === 'off') this._setStatus('waiting');
+
+    if (this._pulseCounter++ % 24 === 0 && this.onTempo && this.pulseIntervalMs) this.onTempo(this.bpm);
+    if (this.running) {
+      const pos = this.position++;
+      if (this.onPulse) this.onPulse(pos, this._smoothedPulseMs, this.pulseIntervalMs);
+    }
+  }
+}
+
+// Extra delay applied to externally clocked steps so they can still be scheduled ahead on the audio clock
+const EXTERNAL_SYNC_LATENCY = 0.05;
+
+// -------------------- MIDI learn --------------------
+const MIDI_MAPPINGS_STORAGE_KEY = 'drumMatrix.midiMappings';
+const NOTE_LENGTH_OPTIONS = ['1/4', '1/8', '1/16', '1/32'];
+
+// Human-readable name for a MIDI learn target id ('bpm', 'volume:2', ...)
+function midiTargetLabel(target) {
+  const [kind, index] = target.split(':');
+  const labels = {
+    bpm: 'BPM',
+    density: 'Density',
+    noteLength: 'Note Length',
+    breakbeatPitch: 'Breakbeat Pitch',
+    selectionCol: 'Selection Column',
+    selectionRow: 'Selection Row',
+    playStop: 'Play/Stop',
+    newSeed: 'New Seed',
+    volume: 'Volume',
+    mute: 'Mute',
+  };
+  const label = labels[kind] || kind;
+  return index !== undefined ? `${label} ${Number(index) + 1}` : label;
+}
+
+function loadMidiMappings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(MIDI_MAPPINGS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(m => m && typeof m.target === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// -------------------- Groove --------------------
+// A groove is { swing, offsets }: `swing` is an MPC-style percentage (50 = straight, ~66 = triplet feel,
+// 75 = hardest) applied to every second step; `offsets` is a per-step timing table in fractions of a step,
+// cycled over the absolute step count. Both only move when a step sounds, never the step grid itself.
+const GROOVE_TEMPLATES = {
+  straight: { name: 'Straight', offsets: [0] },
+  push: { name: 'Push (early offbeats)', offsets: [0, -0.08] },
+  laidBack: { name: 'Laid back (late backbeat)', offsets: [0, 0, 0, 0, 0.1, 0.04, 0, 0.04] },
+  drunk: { name: 'Drunk', offsets: [0, 0.12, -0.05, 0.18, 0.03, 0.1, -0.08, 0.15] },
+};
+
+// Seconds a groove moves absolute step `stepIndex`
+function grooveOffset(stepIndex, secPerStep, groove) {
+  if (!groove) return 0;
+  const swing = Math.max(50, Math.min(75, groove.swing || 50));
+  let offset = stepIndex % 2 === 1 ? (swing / 50 - 1) * secPerStep : 0;
+  const table = groove.offsets;
+  if (table && table.length) offset += (table[stepIndex % table.length] || 0) * secPerStep;
+  return offset;
+}
+
+// Steps from step `fromStep` (straight-grid time `fromTime`) to the step sounding nearest `time` once
+// the groove has moved it. Offsets stay within about a step, so the straight-grid guess and its
+// neighbours are compared at their grooved times.
+function nearestGroovedStep(time, fromStep, fromTime, secPerStep, groove) {
+  const guess = Math.round((time - fromTime) / secPerStep);
+  let nearest = guess;
+  let bestDistance = Infinity;
+  for (let k = guess - 1; k <= guess + 1; k++) {
+    if (fromStep + k < 0) continue;
+    const stepTime = fromTime + k * secPerStep + grooveOffset(fromStep + k, secPerStep, groove);
+    const distance = Math.abs(time - stepTime);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      nearest = k;
+    }
+  }
+  return nearest;
+}
+
+// Parse a list of per-step offsets given in percent of a step ("0, 10, -5 ...") into fractions
+function parseGrooveOffsets(text) {
+  const values = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some(v => !isFinite(v))) return null;
+  return values.map(v => Math.max(-50, Math.min(50, v)) / 100);
+}
+
+// Parse an imported groove file: JSON { name, swing, offsets: [fractions] } or plain text percentages
+function parseGrooveFile(text, fallbackName) {
+  try {
+    const json = JSON.parse(text);
+    if (json && Array.isArray(json.offsets) && json.offsets.every(v => isFinite(v))) {
+      return {
+        name: json.name || fallbackName,
+        swing: isFinite(json.swing) ? Math.max(50, Math.min(75, Number(json.swing))) : null,
+        offsets: json.offsets.map(v => Math.max(-0.5, Math.min(0.5, Number(v)))),
+      };
+    }
+  } catch (e) {}
+  const offsets = parseGrooveOffsets(text);
+  return offsets ? { name: fallbackName, swing: null, offsets } : null;
+}
+
+// -------------------- Drum kits --------------------
+// A kit manifest is JSON: { name, voices: [{ name, url, volume, semitones, cents, midiNote }, ...] }.
+// Voice URLs are resolved relative to the manifest. kits/index.json lists the kits offered in the picker.
+const KITS_FOLDER = 'kits/';
+const DEFAULT_KIT_URL = 'kits/default.json';
+
+// Express `url` relative to the `base` folder URL when both share an origin (so saved kits stay portable)
+function relativeUrl(url, base) {
+  const target = new URL(url, window.location.href);
+  const from = new URL(base, window.location.href);
+  if (target.origin !== from.origin || target.protocol === 'data:') return target.href;
+  const fromParts = from.pathname.split('/').slice(0, -1);
+  const toParts = target.pathname.split('/');
+  let common = 0;
+  while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) common++;
+  return '../'.repeat(fromParts.length - common) + toParts.slice(common).join('/');
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Offer a blob to the user as a file download
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// -------------------- Sound library (IndexedDB) --------------------
+// Keeps the raw audio files the user loads so they survive reloads.
+// Records: { id, name, kind: 'sample'|'breakbeat', type, size, createdAt, data: ArrayBuffer }
+// The same fields minus `data` are mirrored into a metadata store so listing never reads audio.
+class SoundLibrary {
+  constructor(dbName = 'drumMatrix', storeName = 'sounds', metaStoreName = 'soundMeta') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.metaStoreName = metaStoreName;
+    this._dbPromise = null;
+  }
+
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB not supported'));
+          return;
+        }
+        const req = window.indexedDB.open(this.dbName, 2);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(this.metaStoreName)) {
+            // Version 1 only had the sounds store: copy existing metadata across once
+            const metaStore = db.createObjectStore(this.metaStoreName, { keyPath: 'id' });
+            const cursorReq = req.transaction.objectStore(this.storeName).openCursor();
+            cursorReq.onsuccess = () => {
+              const cursor = cursorReq.result;
+              if (!cursor) return;
+              metaStore.put(stripSoundData(cursor.value));
+              cursor.continue();
+            };
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._dbPromise;
+  }
+
+  // Run fn against both stores in one transaction; resolves with the result of
+  // the request fn returns once the whole transaction has committed
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.storeName, this.metaStoreName], mode);
+      const req = fn(tx.objectStore(this.storeName), tx.objectStore(this.metaStoreName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  add(record) {
+    return this._request('readwrite', (store, metaStore) => {
+      const full = { ...record, createdAt: Date.now() };
+      const req = store.add(full);
+      req.onsuccess = () => metaStore.put(stripSoundData({ ...full, id: req.result }));
+      return req;
+    });
+  }
+
+  get(id) { return this._request('readonly', store => store.get(id)); }
+
+  delete(id) {
+    return this._request('readwrite', (store, metaStore) => {
+      metaStore.delete(id);
+      return store.delete(id);
+    });
+  }
+
+  // Metadata of every stored sound for the library panel
+  list() { return this._request('readonly', (store, metaStore) => metaStore.getAll()); }
+
+  rename(id, name) {
+    return this._request('readwrite', (store, metaStore) => {
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const record = req.result;
+        if (!record) return;
+        store.put({ ...record, name });
+        metaStore.put(stripSoundData({ ...record, name }));
+      };
+      return req;
+    });
+  }
+}
+
+function stripSoundData(record) {
+  const meta = { ...record };
+  delete meta.data;
+  return meta;
+}
+
+// Which library sounds are loaded where, so they can be restored on startup: { samples: [id|null], breakbeat: id|null }
+const LOADED_SOUNDS_STORAGE_KEY = 'drumMatrix.loadedSounds';
+
+function loadStoredSlots() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LOADED_SOUNDS_STORAGE_KEY));
+    return {
+      samples: stored && Array.isArray(stored.samples) ? stored.samples : [],
+      breakbeat: stored && stored.breakbeat != null ? stored.breakbeat : null
+    };
+  } catch (e) {
+    return { samples: [], breakbeat: null };
+  }
+}
+
+function saveStoredSlot(kind, index, id) {
+  const slots = loadStoredSlots();
+  if (kind === 'breakbeat') slots.breakbeat = id;
+  else slots.samples[index] = id;
+  try { window.localStorage.setItem(LOADED_SOUNDS_STORAGE_KEY, JSON.stringify(slots)); } catch (e) {}
+}
+
+// -------------------- WAV export --------------------
+
+// Encode an AudioBuffer as a 16- or 24-bit PCM WAV blob
+function encodeWav(audioBuffer, bitDepth = 16) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const bytesPerSample = bitDepth === 24 ? 3 : 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = audioBuffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) channels.push(audioBuffer.getChannelData(c));
+  const maxInt = bitDepth === 24 ? 0x7FFFFF : 0x7FFF;
+  let offset = 44;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      const v = Math.round(sample < 0 ? sample * (maxInt + 1) : sample * maxInt);
+      if (bytesPerSample === 3) {
+        view.setUint8(offset, v & 0xFF);
+        view.setUint8(offset + 1, (v >> 8) & 0xFF);
+        view.setUint8(offset + 2, (v >> 16) & 0xFF);
+      } else {
+        view.setInt16(offset, v, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// -------------------- Transport --------------------
+// Owns tempo, the play position and lookahead scheduling ("A Tale of Two Clocks"): every lookahead pass
+// hands the steps due within scheduleAheadTime to onStep with their exact (grooved) times. Pattern
+// switches are quantized to the next step boundary. Time comes from an injected clock
+// ({ now() in seconds, setTimeout, clearTimeout }), so a manual clock can step it deterministically.
+class Transport {
+  constructor(opts = {}) {
+    this.clock = opts.clock;
+    this.scheduleAheadTime = opts.scheduleAheadTime || 0.1; // 100ms lookahead for resilience
+    this.lookaheadMs = opts.lookaheadMs || 25; // 25ms callback interval for responsiveness
+    this.startDelay = opts.startDelay || 0.05; // Lead time before the first step
+    this.bpm = opts.bpm || 175;
+    this.noteLength = opts.noteLength || '1/8';
+    this.patternLength = opts.patternLength || 4; // Steps in the playing pattern (selection length)
+    this.groove = null; // { swing, offsets } for grooveOffset
+
+    this.playing = false;
+    this.position = 0; // Column of the next step to schedule
+    this.nextStepTime = 0; // Clock time of the next step on the straight grid
+    this.stepCount = 0; // Steps scheduled since start (drives the groove phase)
+    this.stepDuration = this.secPerStep; // Step length used for the most recently scheduled step
+    this.originTime = 0; // Where step 0 falls at the current tempo; anchors quantized switching
+    this._pendingLength = null; // Pattern length switching in at _pendingTime
+    this._pendingTime = 0;
+    this._timer = null;
+
+    // Events
+    this.onStep = null; // (column, time, step) - schedule a column's notes; `step` counts from the start
+    this.onPosition = null; // (column) - the play position moved on to `column`
+    this.onTick = null; // (untilTime) - end of each lookahead pass, for anything sharing its window
+    this.onStart = null; // (firstStepTime)
+    this.onStop = null;
+  }
+
+  // Clock backed by an AudioContext's hardware time, with the lookahead on window timers
+  static audioClock(audioCtx) {
+    return {
+      now: () => audioCtx.currentTime,
+      setTimeout: (fn, ms) => setTimeout(fn, ms),
+      clearTimeout: (id) => clearTimeout(id)
+    };
+  }
+
+  get secPerStep() {
+    return 60 / this.bpm / (NOTE_DIVISORS[this.noteLength] || 4);
+  }
+
+  // Tempo and note length apply from the next step. The origin is re-anchored as if the whole run had
+  // been at the new step length, so quantized switches stay on the step grid.
+  setTempo(bpm) {
+    if (!(bpm > 0) || bpm === this.bpm) return;
+    this.bpm = bpm;
+    this._reanchor();
+  }
+
+  setNoteLength(noteLength) {
+    if (noteLength === this.noteLength) return;
+    this.noteLength = noteLength;
+    this._reanchor();
+  }
+
+  _reanchor() {
+    if (this.playing) this.originTime = this.nextStepTime - this.stepCount * this.secPerStep;
+  }
+
+  setPatternLength(length) {
+    this.patternLength = Math.max(1, length || 1);
+    if (this.position >= this.patternLength) this.position %= this.patternLength;
+  }
+
+  start() {
+    this.stop();
+    const now = this.clock.now();
+    this.playing = true;
+    this.originTime = now;
+    this.nextStepTime = now + this.startDelay;
+    this.position = 0;
+    this.stepCount = 0;
+    if (this.onStart) this.onStart(this.nextStepTime);
+    this._run();
+  }
+
+  // External clock: play without the lookahead timer, steps then arrive through syncTo
+  startExternal(firstStepTime) {
+    this.stop();
+    this.playing = true;
+    this.originTime = firstStepTime;
+    this.nextStepTime = firstStepTime;
+    this.position = 0;
+    this.stepCount = 0;
+    if (this.onStart) this.onStart(firstStepTime);
   }
 
-  _playSample(rowIndex, time, velocity) {
-    const buffer = this.sampleBuffers[rowIndex];
-    if (!buffer) {
-      this._playOscillatorFallback(rowIndex, time, velocity);
-      return;
+  stop() {
+    if (this._timer !== null) {
+      this.clock.clearTimeout(this._timer);
+      this._timer = null;
     }
-    const source = this.audioCtx.createBufferSource();
-    source.buffer = buffer;
-    const gain = this.audioCtx.createGain();
-    const velocityFactor = (velocity / 127) || 1.0;
-    const targetGain = this.volumes[rowIndex] * velocityFactor;
-    gain.gain.setValueAtTime(targetGain, time);
+    this._pendingLength = null;
+    if (!this.playing) return;
+    this.playing = false;
+    if (this.onStop) this.onStop();
+  }
 
-    const fadeStart = time + Math.max(0.001, this.defaultNoteLength * 0.6);
-    const fadeDuration = Math.max(0.01, this.defaultNoteLength * 0.4);
-    gain.gain.setValueAtTime(targetGain, fadeStart);
-    gain.gain.linearRampToValueAtTime(0.0001, fadeStart + fadeDuration);
+  _run() {
+    const until = this.clock.now() + this.scheduleAheadTime;
+    while (this.nextStepTime < until) {
+      this.advance(this.secPerStep);
+    }
+    if (this.onTick) this.onTick(until);
+    this._timer = this.clock.setTimeout(() => this._run(), this.lookaheadMs);
+  }
 
-    source.connect(gain);
-    gain.connect(this.audioCtx.destination);
-    try { 
-      this._scheduledSources.add(source);
-      this._scheduledGains.set(source, gain);
-    } catch (e) {}
-    source.start(time);
-    const stopTime = Math.min(time + buffer.duration, fadeStart + fadeDuration + 0.05);
-    source.stop(stopTime);
-    source.onended = () => {
-      try { source.disconnect(); } catch (e) {}
-      try { gain.disconnect(); } catch (e) {}
-      try { 
-        this._scheduledSources.delete(source);
-        this._scheduledGains.delete(source);
-      } catch (e) {}
-    };
+  // Switch to a pattern of `length` steps at the next step boundary at least 25ms away, picking up at
+  // the column the new pattern would be on had it been playing since the start
+  queuePatternChange(length) {
+    if (!this.playing) return;
+    // Already running this length with nothing else queued: keep the current phase
+    if (Math.max(1, length || 1) === this.patternLength && this._pendingLength === null) return;
+    const secPerStep = this.secPerStep;
+    const minSwitchTime = this.clock.now() + 0.025;
+    const stepsElapsed = (this.clock.now() - this.originTime) / secPerStep;
+    const nextBoundary = this.originTime + Math.ceil(stepsElapsed) * secPerStep;
+    this._pendingLength = Math.max(1, length || 1);
+    this._pendingTime = Math.max(minSwitchTime, nextBoundary);
   }
 
-  _playMidiNote(rowIndex, time, velocity){ const noteNumber = this.midiNotes[rowIndex]|0; const vel = Math.max(0,Math.min(127,velocity|0)); const chan = ((this.midiChannel-1)&0xF); const statusOn = 0x90|chan; const statusOff = 0x80|chan; const noteOnMsg=[statusOn,noteNumber,vel]; const noteOffMsg=[statusOff,noteNumber,0]; const nowAudio = this.audioCtx.currentTime; const nowPerf = performance.now()/1000; const perfToAudioOffset = nowPerf - nowAudio; const noteOnPerfMs = (time + perfToAudioOffset)*1000; const noteOffPerfMs = (time + this.defaultNoteLength + perfToAudioOffset)*1000;
-    if (this.midiOutput && typeof this.midiOutput.send==='function'){
-      try{ this.midiOutput.send(noteOnMsg, Math.round(noteOnPerfMs)); this.midiOutput.send(noteOffMsg, Math.round(noteOffPerfMs)); }
-      catch(e){ this.midiOutput.send(noteOnMsg); const msDelay=Math.max(0,(this.defaultNoteLength)*1000); const id=setTimeout(()=>{ try{ this.midiOutput.send(noteOffMsg) }catch(e){} this._scheduledTimeouts.delete(id); }, msDelay); this._scheduledTimeouts.add(id); }
-    } else {
-      // Only use oscillator fallback if no MIDI output is available
-      this._playOscillatorFallback(rowIndex, time, velocity);
+  // Schedule the step due at nextStepTime and move the play position on by one step.
+  // Driven by the lookahead loop, or directly by an external clock (see syncTo).
+  advance(secPerStep = this.secPerStep) {
+    this.stepDuration = secPerStep;
+    if (this._pendingLength !== null && this.nextStepTime >= this._pendingTime) {
+      this.patternLength = this._pendingLength;
+      this._pendingLength = null;
+      this.position = Math.floor((this.nextStepTime - this.originTime) / secPerStep) % this.patternLength;
     }
+
+    const column = this.position;
+    // Groove moves when the step sounds; the step grid (and quantized switching) stays straight
+    if (this.onStep) this.onStep(column, this.nextStepTime + grooveOffset(this.stepCount, secPerStep, this.groove), this.stepCount);
+    this.stepCount++;
+
+    // Advance to next step using continuous clock time
+    this.nextStepTime += secPerStep;
+    this.position = (this.position + 1) % this.patternLength;
+    if (this.onPosition) this.onPosition(this.position);
   }
 
-  _playOscillatorFallback(rowIndex, time, velocity) {
-    const osc = this.audioCtx.createOscillator();
-    const gain = this.audioCtx.createGain();
-    const midiNote = (this.midiNotes[rowIndex] || 60);
-    const freq = 440 * Math.pow(2, (midiNote - 69) / 12);
-    osc.frequency.setValueAtTime(freq, time);
-    osc.type = 'sine';
-    const velocityFactor = (velocity / 127) || 1.0;
-    const initGain = Math.max(0, Math.min(1, this.volumes[rowIndex] * velocityFactor * 0.15));
-    gain.gain.setValueAtTime(0.0001, time);
-    gain.gain.linearRampToValueAtTime(initGain, time + 0.005);
-    const releaseStart = time + Math.max(0.01, this.defaultNoteLength * 0.6);
-    gain.gain.setValueAtTime(initGain, releaseStart);
-    gain.gain.linearRampToValueAtTime(0.0001, releaseStart + Math.max(0.02, this.defaultNoteLength * 0.4));
-    osc.connect(gain);
-    gain.connect(this.audioCtx.destination);
-    try { 
-      this._scheduledSources.add(osc);
-      this._scheduledGains.set(osc, gain);
-    } catch (e) {}
-    osc.start(time);
-    const stopAt = releaseStart + Math.max(0.02, this.defaultNoteLength * 0.4) + 0.05;
-    osc.stop(stopAt);
-    osc.onended = () => {
-      try { osc.disconnect(); } catch (e) {}
-      try { gain.disconnect(); } catch (e) {}
-      try { 
-        this._scheduledSources.delete(osc);
-        this._scheduledGains.delete(osc);
-      } catch (e) {}
-    };
+  // External clock: schedule absolute step `step` at `time`, with steps currently `secPerStep` long
+  syncTo(step, time, secPerStep) {
+    this.nextStepTime = time;
+    this.stepCount = step;
+    // Keep the quantized switching anchored to where step 0 would have been at the current tempo
+    this.originTime = time - step * secPerStep;
+    this.advance(secPerStep);
+  }
+
+  // From inside onStep: treat the step being scheduled as column 0 of a new `length`-step pattern
+  restartPattern(length) {
+    this._pendingLength = null;
+    this.patternLength = Math.max(1, length || 1);
+    this.position = 0;
+  }
+
+  // Jump to `column` (e.g. on an external Start/Continue), dropping any queued switch
+  locate(column) {
+    this._pendingLength = null;
+    this.position = column % this.patternLength;
+    if (this.onPosition) this.onPosition(this.position);
+  }
+}
+
+// -------------------- Grid renderer --------------------
+// Draws the step grid onto a 2D canvas instead of one element per cell.
+// Every cell is reduced to a key (fill colour + selection edges) and only cells
+// whose key changed since the previous frame are repainted, so a playhead move
+// touches two columns rather than the whole grid.
+const SELECTION_BORDER_COLOR = 'rgba(0,120,255,0.9)';
+const PATH_MARK_COLOR = 'rgba(255,102,0,0.9)'; // Walker path points
+const EDGE_TOP = 1, EDGE_RIGHT = 2, EDGE_BOTTOM = 4, EDGE_LEFT = 8;
+
+class GridRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext ? canvas.getContext('2d') : null; // null where canvas isn't supported
+    this.rows = 0;
+    this.cols = 0;
+    this.pixelRatio = 1;
+    this._keys = [];
+  }
+
+  // Match the backing store to the displayed size; returns true when it changed (everything gets repainted)
+  resize(width, height, pixelRatio = 1) {
+    const w = Math.max(1, Math.round(width * pixelRatio));
+    const h = Math.max(1, Math.round(height * pixelRatio));
+    if (w === this.canvas.width && h === this.canvas.height && pixelRatio === this.pixelRatio) return false;
+    this.canvas.width = w;
+    this.canvas.height = h;
+    this.pixelRatio = pixelRatio;
+    this.invalidate();
+    return true;
+  }
+
+  invalidate() {
+    this._keys = [];
+  }
+
+  // Map a client position to a grid cell, or null when it falls outside the canvas
+  cellAt(clientX, clientY, rows = this.rows, cols = this.cols) {
+    const rect = this.canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    const col = Math.floor(((clientX - rect.left) / rect.width) * cols);
+    const row = Math.floor(((clientY - rect.top) / rect.height) * rows);
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+    return { row, col };
+  }
+
+  // state: { grid, rows, cols, levels, selections, marks }. marks are [{ row, col }] cells to dot. Each selection is
+  // { startRow, startCol, height, length, playheadCol, border, rowColor(rowInSelection, height) };
+  // where selections overlap, the later one is drawn on top.
+  draw(state) {
+    const { grid, rows, cols, levels, selections, marks = [] } = state;
+    if (rows !== this.rows || cols !== this.cols) {
+      this.rows = rows;
+      this.cols = cols;
+      this.invalidate();
+    }
+    if (!this.ctx) return 0;
+    const ctx = this.ctx;
+    const W = this.canvas.width, H = this.canvas.height;
+    const borderWidth = Math.max(1, Math.round(2 * this.pixelRatio));
+    // Row tints are only looked up once per selection row
+    const tints = selections.map(sel => Array.from({ length: sel.height }, (_, i) => sel.rowColor(i, sel.height)));
+    const marked = new Set(marks.map(m => m.row * cols + m.col));
+    let painted = 0;
+
+    for (let r = 0; r < rows; r++) {
+      const y0 = Math.round((r * H) / rows), y1 = Math.round(((r + 1) * H) / rows);
+
+      for (let c = 0; c < cols; c++) {
+        const idx = r * cols + c;
+        const level = grid[idx];
+        const on = !!level;
+
+        let sel = null, si = -1;
+        for (let i = selections.length - 1; i >= 0; i--) {
+          const s = selections[i];
+          if (r >= s.startRow && r < s.startRow + s.height && c >= s.startCol && c < s.startCol + s.length) {
+            sel = s;
+            si = i;
+            break;
+          }
+        }
+
+        // 0..1 amount to wash an active cell towards white for lower velocity levels
+        const softness = on ? (1 - level / levels) * 0.75 : 0;
+        const soften = (v) => Math.round(v + (255 - v) * softness);
+
+        let fill = on ? `rgb(${soften(0)},${soften(0)},${soften(0)})` : '#fff';
+        let edges = 0;
+        if (sel) {
+          const rowInSelection = r - sel.startRow;
+          if (on) {
+            // Row tint only for active cells, washed out towards white for softer hits
+            const tint = tints[si][rowInSelection];
+            fill = `rgb(${soften(tint.r)},${soften(tint.g)},${soften(tint.b)})`;
+          }
+          if (c === sel.playheadCol) {
+            fill = on ? `rgb(${soften(0)},255,${soften(0)})` : '#e0ffe0';
+          }
+          if (rowInSelection === 0) edges |= EDGE_TOP;
+          if (rowInSelection === sel.height - 1) edges |= EDGE_BOTTOM;
+          if (c === sel.startCol) edges |= EDGE_LEFT;
+          if (c === sel.startCol + sel.length - 1) edges |= EDGE_RIGHT;
+        }
+
+        const mark = marked.has(idx);
+        const key = (edges ? fill + '|' + edges + '|' + sel.border : fill) + (mark ? '|m' : '');
+        if (this._keys[idx] === key) continue;
+        this._keys[idx] = key;
+        painted++;
+
+        const x0 = Math.round((c * W) / cols), x1 = Math.round(((c + 1) * W) / cols);
+        const w = x1 - x0, h = y1 - y0;
+        ctx.fillStyle = fill;
+        ctx.fillRect(x0, y0, w, h);
+        if (edges) {
+          ctx.fillStyle = sel.border;
+          if (edges & EDGE_TOP) ctx.fillRect(x0, y0, w, borderWidth);
+          if (edges & EDGE_BOTTOM) ctx.fillRect(x0, y1 - borderWidth, w, borderWidth);
+          if (edges & EDGE_LEFT) ctx.fillRect(x0, y0, borderWidth, h);
+          if (edges & EDGE_RIGHT) ctx.fillRect(x1 - borderWidth, y0, borderWidth, h);
+        }
+        if (mark) {
+          ctx.fillStyle = PATH_MARK_COLOR;
+          ctx.fillRect(x0 + Math.floor(w / 3), y0 + Math.floor(h / 3), Math.max(1, Math.ceil(w / 3)), Math.max(1, Math.ceil(h / 3)));
+        }
+      }
+    }
+    return painted;
   }
 }
 
 // -------------------- React UI --------------------
 export default function SequencerDemo() {
-  const ROWS = 64, COLS = 64;
-  const [grid, setGrid] = useState(() => new Uint8Array(ROWS * COLS).fill(0));
-  const [selection, setSelection] = useState({ active: true, startRow: 30, startCol: 28, length: 8 }); // Default selection in middle
+  const [initialPattern] = useState(loadStoredPattern);
+  const [gridDims, setGridDims] = useState(() => (
+    initialPattern ? { rows: initialPattern.rows, cols: initialPattern.cols } : { rows: DEFAULT_GRID_ROWS, cols: DEFAULT_GRID_COLS }
+  ));
+  const ROWS = gridDims.rows, COLS = gridDims.cols;
+  const [grid, setGrid] = useState(() => (initialPattern ? initialPattern.grid : new Uint8Array(ROWS * COLS).fill(0)));
+  const [selection, setSelection] = useState(() => ({ active: true, startRow: Math.min(30, ROWS - 4), startCol: Math.min(28, COLS - 8), length: 8 })); // Default selection in middle
   const [isDragging, setIsDragging] = useState(false);
-  const [engine] = useState(() => new SequencerEngine({ mode: 'sample', numRows: 32 })); // Support up to 32 rows for 1/32 notes
+  const [engine] = useState(() => new SequencerEngine({ mode: 'sample', numRows: MAX_SLICES })); // One row per breakbeat slice
   const audioCtxRef = useRef(engine.audioCtx);
   const [controlsCollapsed, setControlsCollapsed] = useState(false); // State for collapsible controls
 
@@ -432,30 +1930,89 @@ export default function SequencerDemo() {
   const [playing, setPlaying] = useState(false);
   const [currentStep, setCurrentStep] = useState(0);
   const [noteLength, setNoteLength] = useState('1/8'); // Note division: 1/4, 1/8, 1/16, 1/32
-  const [stepIntervalSec, setStepIntervalSec] = useState(() => 60 / 175 / 2); // 8th notes at 175 BPM
   const [currentlyPlayingSlice, setCurrentlyPlayingSlice] = useState(-1); // Track which slice is currently playing
   const [sliceFlashKey, setSliceFlashKey] = useState(0); // Key to trigger re-render for flash animation
   const [currentlyPlayingRow, setCurrentlyPlayingRow] = useState(-1); // Track which row is currently playing (sample/MIDI modes)
   const [rowFlashKey, setRowFlashKey] = useState(0); // Key to trigger re-render for row flash animation
   const [pulseAnimation, setPulseAnimation] = useState(0); // For BPM-synchronized pulse animation
-  const [samplesInfo, setSamplesInfo] = useState(new Array(4).fill(null));
-  const [mute, setMute] = useState([false,false,false,false]);
-  const [volumes, setVolumes] = useState([1,1,1,1]);
-  const [midiNotes, setMidiNotes] = useState([36, 38, 42, 46]); // Kick, Snare, HiHat, Tom
+  // Per-voice arrays always hold MAX_VOICES entries; voiceCount says how many are in use
+  const [voiceCount, setVoiceCount] = useState(DEFAULT_VOICE_COUNT); // Voices (selection rows) in sample and MIDI modes
+  const [samplesInfo, setSamplesInfo] = useState(new Array(MAX_VOICES).fill(null));
+  const [mute, setMute] = useState(() => new Array(MAX_VOICES).fill(false));
+  const [volumes, setVolumes] = useState(() => new Array(MAX_VOICES).fill(1));
+  const [midiNotes, setMidiNotes] = useState(DEFAULT_MIDI_NOTES); // Kick, Snare, HiHat, Tom, ...
+  const [midiChannels, setMidiChannels] = useState(() => new Array(MAX_VOICES).fill(null)); // Per-voice MIDI channel, null = global Channel
+  const [gates, setGates] = useState(() => new Array(MAX_VOICES).fill(null).map(() => ({ value: 300, unit: 'ms' }))); // Per-voice gate length
+  const [noNoteOff, setNoNoteOff] = useState(() => new Array(MAX_VOICES).fill(false)); // Per-voice: never send note-off
+  const [chokeGroups, setChokeGroups] = useState(() => new Array(MAX_VOICES).fill(0)); // Per-voice choke group in sample mode, 0 = none
+  const [sampleSettings, setSampleSettings] = useState(() => new Array(MAX_VOICES).fill(null).map(() => ({ ...DEFAULT_SAMPLE_SETTINGS })));
+  const [sampleWaveforms, setSampleWaveforms] = useState(new Array(MAX_VOICES).fill(null)); // Waveform overview per voice for the editor
+  const [editingVoice, setEditingVoice] = useState(-1); // Voice whose sample editor is open, -1 = none
+  const [kitName, setKitName] = useState('Default'); // Name of the loaded kit (editable, used when saving)
+  const [kitUrl, setKitUrl] = useState(DEFAULT_KIT_URL); // Manifest URL the current kit was loaded from
+  const [availableKits, setAvailableKits] = useState([]); // [{ name, url }] from kits/index.json
   
   // Breakbeat slicer mode state
   const [breakbeatBuffer, setBreakbeatBuffer] = useState(null);
   const [breakbeatBPM, setBreakbeatBPM] = useState(175);
   const [breakbeatWaveform, setBreakbeatWaveform] = useState(null);
+  const [breakbeatName, setBreakbeatName] = useState(null); // File name of the loaded breakbeat
+  const [tempoAnalysis, setTempoAnalysis] = useState(null); // detectTempo() result for the loaded breakbeat
+  const [breakbeatBars, setBreakbeatBars] = useState('auto'); // Loop length in bars, or 'auto' (detected)
+  const [slicePage, setSlicePage] = useState(0); // Page of slices on the grid when they outnumber its rows
   const [sliceMute, setSliceMute] = useState(new Array(8).fill(false));
   const [sliceVolumes, setSliceVolumes] = useState(new Array(8).fill(1));
+  const [sliceSettings, setSliceSettings] = useState(() => new Array(8).fill(DEFAULT_SLICE_SETTINGS)); // Per-slice reverse/pitch/stutter/gate
   const [numSlices, setNumSlices] = useState(8); // Number of slices based on note length
   const [density, setDensity] = useState(0.4); // Grid fill density (0 = empty, 1 = full)
   const [densityDisplay, setDensityDisplay] = useState(0.4); // Immediate display value for slider
   const [breakbeatOneShot, setBreakbeatOneShot] = useState(true); // One-shot mode (true) vs continuous (false)
   const [breakbeatPitch, setBreakbeatPitch] = useState(0); // Pitch adjustment in semitones (-12 to +12)
+  const [breakbeatStretch, setBreakbeatStretch] = useState('vinyl'); // 'vinyl' (rate) or 'stretch' (tempo and pitch independent)
+  const [sliceTriggerMode, setSliceTriggerMode] = useState('top'); // 'top' row wins, 'layered' or 'random' winner
+  const [sliceMode, setSliceMode] = useState('equal'); // 'equal' slices or 'transient' (onset markers)
+  const [slicePoints, setSlicePoints] = useState([0]); // Transient markers as sorted fractions of the breakbeat
+  const [transientSensitivity, setTransientSensitivity] = useState(0.5); // Onset detection sensitivity (0..1)
+  const [bounceBars, setBounceBars] = useState(1); // Number of bars rendered by the WAV export
+  const [bounceBitDepth, setBounceBitDepth] = useState(16); // WAV export bit depth (16 or 24)
+  const [bouncing, setBouncing] = useState(false); // True while an offline render is in progress
+  const [swing, setSwing] = useState(50); // MPC-style swing percentage (50 = straight)
+  const [grooveId, setGrooveId] = useState('straight'); // Selected groove template key, 'custom' when edited by hand
+  const [grooveOffsets, setGrooveOffsets] = useState([0]); // Active per-step offset table (fractions of a step)
+  const [grooveText, setGrooveText] = useState('0'); // Editable text form of the offset table (percent of a step)
+  const [importedGrooves, setImportedGrooves] = useState({}); // Groove files loaded by the user, keyed like GROOVE_TEMPLATES
+  const [syncMode, setSyncMode] = useState('internal'); // 'internal' clock or 'external' MIDI clock
+  const [syncStatus, setSyncStatus] = useState('off'); // External clock lock state: off / waiting / locked / lost
+  const [clockFollower] = useState(() => new MidiClockFollower());
+  const [recordArmed, setRecordArmed] = useState(false); // Write incoming MIDI hits into the grid while playing
+  const [midiLearn, setMidiLearn] = useState(false); // MIDI learn mode: click a control, then move a knob/press a pad
+  const [learnTarget, setLearnTarget] = useState(null); // Control id waiting for a MIDI message
+  const [midiMappings, setMidiMappings] = useState(loadMidiMappings); // [{ target, type: 'cc'|'note', channel, number }]
+  const midiTriggerStateRef = useRef({}); // Last value per CC binding, to detect presses on trigger controls
+  const [tracks, setTracks] = useState([]); // Extra selections played alongside the main one (see Tracks)
+  const [editTrackId, setEditTrackId] = useState(null); // Track the grid pointer moves/resizes, null = main selection
+  const [transportStep, setTransportStep] = useState(0); // Steps since start, for the tracks' playheads
+  const [walker, setWalker] = useState({ mode: 'off', cols: 4, rows: 0, bars: 1 }); // Automatic selection movement (see Selection walker)
+  const [walkerPath, setWalkerPath] = useState([]); // [{ row, col }] points visited by the 'path' walker
+  const [drawingPath, setDrawingPath] = useState(false); // Grid clicks add walker path points instead of selecting
+  const walkerStateRef = useRef({ dirRow: 1, dirCol: 1, pathIndex: -1 }); // Bounce direction and path position
+  const [scenes, setScenes] = useState([]); // Stored selections for song mode (see Song mode)
+  // Arrangement: song entries [{ sceneId, bars }] played top to bottom, and the loop range as entry
+  // indices (end -1 = last entry). One state so edits remap the loop against the same entry list.
+  const [arrangement, setArrangement] = useState({ song: [], loop: { start: 0, end: -1 } });
+  const { song, loop: songLoop } = arrangement;
+  const [songMode, setSongMode] = useState(false); // Transport follows the arrangement while playing
+  const [songPosition, setSongPosition] = useState(null); // { entry, bar } playhead while the song plays
+  const songEntryRef = useRef(-1); // Arrangement entry whose scene is applied
+  const songStartStepRef = useRef(null); // Transport step of the bar line the song started on
   
-  const numRows = mode === 'breakbeat' ? numSlices : 4;
+  // Bars the breakbeat spans: as chosen, or as detected from the audio (1 until a loop is analysed)
+  const loopBars = breakbeatBars === 'auto' ? Math.max(1, Math.min(8, tempoAnalysis ? tempoAnalysis.bars : 1)) : breakbeatBars;
+  // Loops with more slices than the grid is tall are played a page (grid height) at a time
+  const sliceRows = Math.min(numSlices, ROWS);
+  const slicePages = Math.ceil(numSlices / sliceRows);
+  const sliceOffset = Math.min(slicePage, slicePages - 1) * sliceRows; // Slice on the selection's top row
+  const numRows = mode === 'breakbeat' ? sliceRows : voiceCount;
 
   const muteRef = useRef(mute);
   const volumesRef = useRef(volumes);
@@ -463,14 +2020,15 @@ export default function SequencerDemo() {
   const sliceVolumesRef = useRef(sliceVolumes);
   const modeRef = useRef(mode);
   const numSlicesRef = useRef(numSlices);
+  const sliceOffsetRef = useRef(sliceOffset);
+  const sliceTriggerModeRef = useRef(sliceTriggerMode);
+  const voiceCountRef = useRef(voiceCount);
+  const tracksRef = useRef(tracks);
 
-  // scheduling refs
-  const nextStepTimeRef = useRef(0);
-  const currentColRef = useRef(0);
-  const lookaheadTimerRef = useRef(null);
-  const pendingSelectionRef = useRef(null); // For beat-quantized selection changes
-  const absoluteTimeRef = useRef(0); // Absolute audio time when sequencer started
-  const sequenceStartTimeRef = useRef(0); // When current sequence started in absolute time
+  // Tempo, play position and lookahead scheduling on the audio clock
+  const [transport] = useState(() => new Transport({ clock: Transport.audioClock(engine.audioCtx) }));
+  // Breakbeat time-stretching in a background worker
+  const [stretcher] = useState(() => new BreakbeatStretcher());
 
   useEffect(()=>{ engine.setMode(mode); }, [mode, engine]);
 
@@ -561,6 +2119,20 @@ export default function SequencerDemo() {
     engine.setBreakbeatBPM(breakbeatBPM);
   }, [breakbeatBPM, engine]);
   
+  // Update engine slicing when the mode or markers change
+  useEffect(() => {
+    engine.setSliceMode(sliceMode);
+  }, [sliceMode, engine]);
+
+  useEffect(() => {
+    engine.setSlicePoints(slicePoints);
+  }, [slicePoints, engine]);
+
+  // Re-detect transient markers for a new breakbeat or sensitivity (replaces hand-edited markers)
+  useEffect(() => {
+    if (breakbeatBuffer) setSlicePoints(detectTransients(breakbeatBuffer, transientSensitivity));
+  }, [breakbeatBuffer, transientSensitivity]);
+  
   // Update engine current BPM when it changes
   useEffect(() => {
     engine.setCurrentBPM(bpm);
@@ -571,6 +2143,27 @@ export default function SequencerDemo() {
     engine.setNoteLength(noteLength);
   }, [noteLength, engine]);
   
+  // Time-stretch the breakbeat for the current tempo and pitch in the stretch worker. Debounced so
+  // dragging the BPM or Pitch controls doesn't re-stretch on every value, and skipped when the copy
+  // already prepared is within STRETCH_REUSE_TOLERANCE; the engine bridges the gap with that copy.
+  useEffect(() => {
+    engine.setBreakbeatStretch(breakbeatStretch);
+    if (breakbeatStretch !== 'stretch' || !breakbeatBuffer) return;
+    const factor = engine.breakbeatStretchFactor();
+    if (!isFinite(factor) || factor <= 0) return;
+    const pending = stretcher.pendingFactor(breakbeatBuffer);
+    const current = pending != null ? pending : engine.stretchedBreakbeatFactor(breakbeatBuffer);
+    if (current && Math.abs(current / factor - 1) < STRETCH_REUSE_TOLERANCE) return;
+    const timer = setTimeout(() => {
+      stretcher.stretch(breakbeatBuffer, factor, audioCtxRef.current)
+        .then(stretched => { if (stretched) engine.setStretchedBreakbeat(breakbeatBuffer, factor, stretched); })
+        .catch(err => console.error('Time-stretch failed:', err));
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [breakbeatStretch, breakbeatBuffer, breakbeatBPM, bpm, breakbeatPitch, engine, stretcher]);
+
+  useEffect(() => () => stretcher.cancel(), [stretcher]);
+
   // Redraw waveform when BPM or note length changes (time-stretch visualization)
   useEffect(() => {
     if (breakbeatBuffer && mode === 'breakbeat') {
@@ -589,6 +2182,38 @@ export default function SequencerDemo() {
   useEffect(() => { sliceVolumesRef.current = sliceVolumes; }, [sliceVolumes]);
   useEffect(() => { modeRef.current = mode; }, [mode]);
   useEffect(() => { numSlicesRef.current = numSlices; }, [numSlices]);
+  useEffect(() => { sliceOffsetRef.current = sliceOffset; }, [sliceOffset]);
+  useEffect(() => { tracksRef.current = tracks; }, [tracks]);
+  useEffect(() => { voiceCountRef.current = voiceCount; }, [voiceCount]);
+  useEffect(() => {
+    sliceTriggerModeRef.current = sliceTriggerMode;
+    engine.setBreakbeatLayered(sliceTriggerMode === 'layered');
+  }, [sliceTriggerMode, engine]);
+  useEffect(() => { transport.groove = { swing, offsets: grooveOffsets }; }, [swing, grooveOffsets, transport]);
+
+  // sync per-voice MIDI settings to the engine
+  useEffect(() => {
+    midiNotes.forEach((n, i) => engine.setMidiNoteForRow(i, n));
+    midiChannels.forEach((ch, i) => engine.setMidiChannelForRow(i, ch));
+    gates.forEach((g, i) => engine.setGateForRow(i, g));
+    noNoteOff.forEach((n, i) => engine.setNoNoteOffForRow(i, n));
+  }, [midiNotes, midiChannels, gates, noNoteOff, engine]);
+
+  useEffect(() => {
+    chokeGroups.forEach((g, i) => engine.setChokeGroup(i, g));
+  }, [chokeGroups, engine]);
+
+  useEffect(() => {
+    sampleSettings.forEach((settings, i) => engine.setSampleSettings(i, settings));
+  }, [sampleSettings, engine]);
+
+  function updateSampleSettings(rowIndex, changes) {
+    setSampleSettings(prev => {
+      const copy = prev.slice();
+      copy[rowIndex] = { ...copy[rowIndex], ...changes };
+      return copy;
+    });
+  }
 
   // sync engine volumes immediately when changed
   useEffect(() => { 
@@ -607,6 +2232,18 @@ export default function SequencerDemo() {
     }
   }, [sliceVolumes, sliceMute, mode, engine]);
 
+  useEffect(() => {
+    sliceSettings.forEach((settings, i) => engine.setSliceSettings(i, settings));
+  }, [sliceSettings, engine]);
+
+  function updateSliceSettings(sliceIndex, changes) {
+    setSliceSettings(prev => {
+      const copy = prev.slice();
+      copy[sliceIndex] = { ...copy[sliceIndex], ...changes };
+      return copy;
+    });
+  }
+
   // Calculate step interval based on BPM and note length
   useEffect(() => {
     const noteDivisors = {
@@ -616,136 +2253,152 @@ export default function SequencerDemo() {
       '1/32': 8    // thirty-second notes
     };
     const divisor = noteDivisors[noteLength] || 4;
-    const sec = 60 / bpm / divisor;
-    setStepIntervalSec(sec);
+    // Tempo changes reach the transport from its next step, also mid-playback
+    transport.setTempo(Number(bpm));
+    transport.setNoteLength(noteLength);
     
-    // Calculate number of slices: assuming breakbeat is 1 bar (4 beats)
+    // Calculate number of slices: the breakbeat is loopBars bars of 4 beats
     // 1/4 notes = 4 slices per bar
     // 1/8 notes = 8 slices per bar
     // 1/16 notes = 16 slices per bar
     // 1/32 notes = 32 slices per bar
     const slicesPerBar = divisor * 4;
-    setNumSlices(slicesPerBar);
+    const totalSlices = slicesPerBar * loopBars;
+    setNumSlices(totalSlices);
     
     // Resize mute and volume arrays if needed
     setSliceMute(prev => {
-      const newArray = new Array(slicesPerBar).fill(false);
-      for (let i = 0; i < Math.min(prev.length, slicesPerBar); i++) {
+      const newArray = new Array(totalSlices).fill(false);
+      for (let i = 0; i < Math.min(prev.length, totalSlices); i++) {
         newArray[i] = prev[i];
       }
       return newArray;
     });
     setSliceVolumes(prev => {
-      const newArray = new Array(slicesPerBar).fill(1);
-      for (let i = 0; i < Math.min(prev.length, slicesPerBar); i++) {
+      const newArray = new Array(totalSlices).fill(1);
+      for (let i = 0; i < Math.min(prev.length, totalSlices); i++) {
+        newArray[i] = prev[i];
+      }
+      return newArray;
+    });
+    setSliceSettings(prev => {
+      const newArray = new Array(totalSlices).fill(DEFAULT_SLICE_SETTINGS);
+      for (let i = 0; i < Math.min(prev.length, totalSlices); i++) {
         newArray[i] = prev[i];
       }
       return newArray;
     });
-  }, [bpm, noteLength]);
+  }, [bpm, noteLength, loopBars, transport]);
 
-  // initialize nextStepTime when starting
+  // Start/stop the transport with the play state
   useEffect(()=>{
     if (playing) {
-      const audioCtx = audioCtxRef.current;
-      absoluteTimeRef.current = audioCtx.currentTime;
-      sequenceStartTimeRef.current = 0; // Start at sequence time 0
-      nextStepTimeRef.current = audioCtx.currentTime + 0.05;
-      currentColRef.current = 0;
-      scheduler();
+      // Under external sync the incoming MIDI clock drives steps instead of the lookahead timer
+      // (handleExternalStart has already started the transport)
+      if (syncMode === 'external') return;
+      // Ensure audio context is running
+      if (audioCtxRef.current.state === 'suspended') audioCtxRef.current.resume();
+      transport.start();
     } else {
-      if (lookaheadTimerRef.current) { clearTimeout(lookaheadTimerRef.current); lookaheadTimerRef.current = null; }
+      transport.stop();
+      engine.stopClock();
       engine.cancelScheduled();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [playing]);
 
-  // Professional Web Audio scheduling system based on Chris Wilson's "A Tale of Two Clocks"
-  // This ensures perfect timing by using the audio hardware clock and proper lookahead scheduling
-  function scheduler() {
-    // Use professional audio timing constants based on Chris Wilson's recommendations
-    const scheduleAheadTime = 0.1; // 100ms lookahead for resilience
-    const lookaheadFrequency = 25; // 25ms callback interval for responsiveness
-    
-    const audioCtx = audioCtxRef.current;
-    
-    // Ensure audio context is running
-    if (audioCtx.state === 'suspended') {
-      audioCtx.resume();
-    }
-    
-    const secPerStep = stepIntervalSec;
-
-    while (nextStepTimeRef.current < audioCtx.currentTime + scheduleAheadTime) {
-      // Check if there's a pending selection change at this beat
-      if (pendingSelectionRef.current && 
-          nextStepTimeRef.current >= pendingSelectionRef.current.switchTime) {
-        // Apply the pending selection change
-        const pendingChange = pendingSelectionRef.current;
-        
-        // Calculate where we are in the new pattern
-        const elapsedSequenceTime = nextStepTimeRef.current - absoluteTimeRef.current;
-        const newStepIndex = Math.floor(elapsedSequenceTime / secPerStep) % Math.max(1, pendingChange.selection.length);
-        
-        currentColRef.current = newStepIndex;
-        setCurrentStep(newStepIndex);
-        pendingSelectionRef.current = null; // Clear the pending change
-      }
+  // Transport events are re-bound every render so they always see current state
+  useEffect(() => {
+    transport.onStep = (column, time, step) => {
+      if (advanceSong(step)) column = 0;
+      advanceWalker(step);
+      scheduleStep(column, time);
+      scheduleTracks(step, time);
+    };
+    transport.onPosition = (column) => {
+      setCurrentStep(column);
+      setTransportStep(transport.stepCount);
+    };
+    // MIDI clock pulses follow the same lookahead window (straight time, unaffected by groove)
+    transport.onTick = (untilTime) => engine.scheduleClock(untilTime);
+    transport.onStart = (firstStepTime) => {
+      songEntryRef.current = -1;
+      songStartStepRef.current = null;
+      // Clock out is driven by the lookahead pass, which doesn't run under external sync
+      if (syncMode !== 'external') engine.startClock(firstStepTime);
+    };
+  });
 
-      // Read current selection
-      const sel = selectionRef.current || selection;
-      const stepIdx = currentColRef.current;
-      
-      // Schedule a step at nextStepTimeRef.current for column stepIdx
-      scheduleStep(stepIdx, nextStepTimeRef.current);
-      
-      // Advance to next step using continuous audio time
-      nextStepTimeRef.current += secPerStep;
-      const len = Math.max(1, sel.length || 1);
-      currentColRef.current = (currentColRef.current + 1) % len;
-      setCurrentStep(prev => (prev + 1) % len);
-    }
+  useEffect(() => () => transport.stop(), [transport]);
+
+  // External MIDI clock: every pulse landing on a step boundary schedules that step at the smoothed pulse time
+  function handleExternalPulse(position, timeMs, pulseIntervalMs) {
+    const clocksPerStep = 24 / (NOTE_DIVISORS[noteLength] || 4);
+    if (!transport.playing || position % clocksPerStep !== 0) return;
+    const secPerStep = (pulseIntervalMs * clocksPerStep) / 1000;
+    const time = engine.perfMsToAudioTime(timeMs) + EXTERNAL_SYNC_LATENCY;
+    transport.syncTo(position / clocksPerStep, time, secPerStep);
+  }
 
-    // Schedule next callback with precise timing
-    lookaheadTimerRef.current = setTimeout(scheduler, lookaheadFrequency);
+  function handleExternalStart(position) {
+    const clocksPerStep = 24 / (NOTE_DIVISORS[noteLength] || 4);
+    if (audioCtxRef.current.state === 'suspended') audioCtxRef.current.resume();
+    transport.startExternal(engine.audioCtx.currentTime + EXTERNAL_SYNC_LATENCY);
+    transport.locate(Math.floor(position / clocksPerStep));
+    setPlaying(true);
   }
 
-  function scheduleStep(colIndex, time) {
+  // Follower callbacks are re-bound every render so they always see current state
+  useEffect(() => {
+    clockFollower.onPulse = handleExternalPulse;
+    clockFollower.onStart = handleExternalStart;
+    clockFollower.onStop = () => setPlaying(false);
+    clockFollower.onTempo = (tempo) => {
+      const rounded = Math.round(tempo * 10) / 10;
+      setBpm(prev => (prev === rounded ? prev : rounded));
+    };
+    clockFollower.onStatusChange = setSyncStatus;
+  });
+
+  useEffect(() => () => clockFollower.detach(), [clockFollower]);
+
+  function scheduleStep(colIndex, time, target = engine) {
     // For each of the selection rows (4 for sample/midi, variable for breakbeat), check which cells are active
+    // `target` is the live engine, or an offline render engine when bouncing to WAV
     const sel = selectionRef.current;
     if (!sel) return;
     const { startRow, startCol } = sel;
     const gridBuf = gridStateRef.current;
     const currentMode = modeRef.current;
     const currentNumSlices = numSlicesRef.current;
-    const rowCount = currentMode === 'breakbeat' ? currentNumSlices : 4;
+    const rowCount = currentMode === 'breakbeat' ? Math.min(currentNumSlices, ROWS) : voiceCountRef.current;
     
     if (currentMode === 'breakbeat') {
-      // In breakbeat mode, find the highest active row (mutual exclusivity)
-      // Lower row index = higher visual position (top of grid) = wins
+      // In breakbeat mode, collect the column's active slices, top row first
+      // Lower row index = higher visual position (top of grid)
       const m = sliceMuteRef.current || sliceMute;
       const vols = sliceVolumesRef.current || sliceVolumes;
       
-      let winningSlice = -1;
+      const active = [];
       for (let r = 0; r < rowCount; r++) { // Start from bottom (lowest index = top visually)
         const row = startRow + r;
         const col = startCol + colIndex;
-        if (row < 0 || row >= ROWS || col < 0 || col >= COLS) continue;
+        const slice = sliceOffsetRef.current + r; // Rows show the current page of slices
+        if (row < 0 || row >= ROWS || col < 0 || col >= COLS || slice >= currentNumSlices) continue;
         const idx = row * COLS + col;
         if (gridBuf && gridBuf[idx]) {
-          winningSlice = r;
-          break; // Found the highest active slice (visually top)
+          active.push({ slice, velocity: levelToVelocity(gridBuf[idx]) });
         }
       }
       
-      // Only trigger the winning slice
-      if (winningSlice >= 0 && !m[winningSlice]) {
-        console.log('Scheduling breakbeat slice:', { winningSlice, currentNumSlices, time, muted: m[winningSlice], volume: vols[winningSlice] });
-        engine.setMute(winningSlice, false);
-        engine.setVolume(winningSlice, vols[winningSlice]);
-        engine.playBreakbeatSlice(winningSlice, currentNumSlices, time, 127);
-      } else {
-        console.log('Skipped slice - winning:', winningSlice, 'muted:', winningSlice >= 0 ? m[winningSlice] : 'N/A');
+      const triggered = pickSlices(active, m);
+      
+      for (const { slice, velocity } of triggered) {
+        console.log('Scheduling breakbeat slice:', { slice, currentNumSlices, time, volume: vols[slice] });
+        target.playBreakbeatSlice(slice, currentNumSlices, time, velocity, { muted: false, volume: vols[slice] });
+      }
+      if (!triggered.length) {
+        console.log('Skipped column - active slices:', active.map(a => a.slice), 'muted:', active.map(a => !!m[a.slice]));
       }
     } else {
       // Sample or MIDI mode - original behavior
@@ -758,77 +2411,340 @@ export default function SequencerDemo() {
         if (row < 0 || row >= ROWS || col < 0 || col >= COLS) continue;
         const idx = row * COLS + col;
         if (gridBuf && gridBuf[idx]) {
-          engine.setMute(r, m[r]);
-          engine.setVolume(r, vols[r]);
-          engine.triggerRow(r, time, 127);
+          target.triggerRow(r, time, levelToVelocity(gridBuf[idx]), { muted: !!m[r], volume: vols[r] });
+        }
+      }
+    }
+  }
+
+  // Walk the selection on at the start of every walker period (a whole number of bars), switching
+  // before the step is scheduled so the move lands exactly on the bar line
+  function advanceWalker(step) {
+    if (walker.mode === 'off' || songMode || step === 0) return;
+    const period = walker.bars * (NOTE_DIVISORS[noteLength] || 4) * 4; // 4/4: four beats per bar
+    if (step % period !== 0) return;
+    const sel = selectionRef.current;
+    if (!sel) return;
+    const next = walkSelection(sel, numRows, ROWS, COLS, walker, walkerPath, walkerStateRef.current);
+    walkerStateRef.current = next.state;
+    if (next.startRow === sel.startRow && next.startCol === sel.startCol) return;
+    scheduleSelectionChange({ ...sel, startRow: next.startRow, startCol: next.startCol }, true);
+  }
+
+  // A new walk starts heading right/down and from the first path point
+  useEffect(() => {
+    walkerStateRef.current = { dirRow: 1, dirCol: 1, pathIndex: -1 };
+  }, [walker.mode, walkerPath]);
+
+  // Song mode: on every bar line find the arrangement entry and, when a new entry starts, switch to
+  // its scene before the step is scheduled. Bars count from the first bar line after song mode was
+  // switched on (or playback started). Returns true when the step starts a scene (column 0).
+  function advanceSong(step) {
+    if (!songMode) return false;
+    const stepsPerBar = (NOTE_DIVISORS[noteLength] || 4) * 4; // 4/4: four beats per bar
+    if (step % stepsPerBar !== 0) return false;
+    if (songStartStepRef.current === null) songStartStepRef.current = step;
+    const pos = songPositionAt((step - songStartStepRef.current) / stepsPerBar, song, songLoop);
+    setSongPosition(pos);
+    if (!pos || (pos.bar !== 0 && songEntryRef.current === pos.entry)) return false;
+    songEntryRef.current = pos.entry;
+    const scene = scenes.find(sc => sc.id === song[pos.entry].sceneId);
+    if (!scene) return false;
+    applyScene(scene, true);
+    transport.restartPattern(scene.length);
+    return true;
+  }
+
+  // Store the main selection, mode and mutes as a new scene
+  function saveScene() {
+    const id = scenes.reduce((max, sc) => Math.max(max, sc.id), 0) + 1;
+    const name = 'Scene ' + (id <= 26 ? String.fromCharCode(64 + id) : id);
+    setScenes(prev => [...prev, {
+      id, name, mode,
+      startRow: selection.startRow, startCol: selection.startCol, length: selection.length,
+      mutes: (mode === 'breakbeat' ? sliceMute : mute).slice()
+    }]);
+  }
+
+  // Recall a scene. `onBoundary` is set when called from the transport's onStep, so the scheduler
+  // sees the new mode, mutes and selection for the step it is about to schedule.
+  function applyScene(scene, onBoundary = false) {
+    if (scene.mode !== modeRef.current) {
+      modeRef.current = scene.mode;
+      engine.setMode(scene.mode);
+      setMode(scene.mode);
+    }
+    if (scene.mode === 'breakbeat') {
+      const next = sliceMuteRef.current.map((m, i) => (i < scene.mutes.length ? scene.mutes[i] : m));
+      sliceMuteRef.current = next;
+      setSliceMute(next);
+    } else {
+      const next = muteRef.current.map((m, i) => (i < scene.mutes.length ? scene.mutes[i] : m));
+      muteRef.current = next;
+      setMute(next);
+    }
+    const height = selectionHeightFor(scene.mode);
+    const length = Math.max(1, Math.min(COLS, scene.length));
+    scheduleSelectionChange({
+      active: true,
+      startRow: Math.max(0, Math.min(ROWS - height, scene.startRow)),
+      startCol: Math.max(0, Math.min(COLS - length, scene.startCol)),
+      length
+    }, onBoundary);
+  }
+
+  function updateScene(id, changes) {
+    setScenes(prev => prev.map(sc => (sc.id === id ? { ...sc, ...changes } : sc)));
+  }
+
+  function removeScene(id) {
+    setScenes(prev => prev.filter(sc => sc.id !== id));
+    setArrangement(prev => {
+      let kept = 0;
+      const newIndex = prev.song.map(e => (e.sceneId === id ? -1 : kept++));
+      return {
+        song: prev.song.filter(e => e.sceneId !== id),
+        loop: remapSongLoop(prev.loop, i => newIndex[i], prev.song.length)
+      };
+    });
+  }
+
+  function addSongEntry(sceneId) {
+    setArrangement(prev => ({ ...prev, song: [...prev.song, { sceneId, bars: 4 }] }));
+  }
+
+  function updateSongEntry(index, changes) {
+    setArrangement(prev => ({ ...prev, song: prev.song.map((e, i) => (i === index ? { ...e, ...changes } : e)) }));
+  }
+
+  function moveSongEntry(index, delta) {
+    setArrangement(prev => {
+      const to = index + delta;
+      if (index < 0 || index >= prev.song.length || to < 0 || to >= prev.song.length) return prev;
+      const song = [...prev.song];
+      [song[index], song[to]] = [song[to], song[index]];
+      return { song, loop: remapSongLoop(prev.loop, i => (i === index ? to : i === to ? index : i), prev.song.length) };
+    });
+  }
+
+  function removeSongEntry(index) {
+    setArrangement(prev => {
+      if (index < 0 || index >= prev.song.length) return prev;
+      return {
+        song: prev.song.filter((_, i) => i !== index),
+        loop: remapSongLoop(prev.loop, i => (i === index ? -1 : i > index ? i - 1 : i), prev.song.length)
+      };
+    });
+  }
+
+  function setSongLoopPoint(point, index) {
+    setArrangement(prev => ({ ...prev, loop: { ...prev.loop, [point]: index } }));
+  }
+
+  useEffect(() => {
+    if (!playing || !songMode) setSongPosition(null);
+  }, [playing, songMode]);
+
+  // Switching song mode on mid-playback starts the arrangement from its top at the next bar line
+  useEffect(() => {
+    songEntryRef.current = -1;
+    songStartStepRef.current = null;
+  }, [songMode]);
+
+  // Which of a column's active slices (top row first) sound: 'top' - the highest active slice wins
+  // (mutual exclusivity); 'layered' - every unmuted active slice plays; 'random' - one unmuted active
+  // slice, picked afresh on every pass
+  function pickSlices(active, m) {
+    if (sliceTriggerModeRef.current === 'layered') {
+      return active.filter(a => !m[a.slice]);
+    }
+    if (sliceTriggerModeRef.current === 'random') {
+      const candidates = active.filter(a => !m[a.slice]);
+      return candidates.length ? [candidates[Math.floor(Math.random() * candidates.length)]] : [];
+    }
+    return active.length && !m[active[0].slice] ? [active[0]] : [];
+  }
+
+  // Schedule absolute transport step `step` for every extra track; each loops over its own length
+  function scheduleTracks(step, time, target = engine) {
+    const gridBuf = gridStateRef.current;
+    if (!gridBuf) return;
+    for (const track of tracksRef.current) {
+      if (track.muted) continue;
+      const col = track.startCol + (step % track.length);
+      if (col < 0 || col >= COLS) continue;
+
+      if (track.mode === 'breakbeat') {
+        // Breakbeat tracks have their own slice page, mutes and volumes
+        if (!target.breakbeatBuffer) continue;
+        const currentNumSlices = numSlicesRef.current;
+        const m = track.sliceMutes;
+        const vols = track.sliceVolumes;
+        const offset = trackSliceOffset(track, currentNumSlices);
+        const active = [];
+        for (let r = 0; r < Math.min(currentNumSlices, ROWS); r++) {
+          const row = track.startRow + r;
+          const slice = offset + r;
+          if (row >= ROWS || slice >= currentNumSlices) break;
+          const level = gridBuf[row * COLS + col];
+          if (level) active.push({ slice, velocity: levelToVelocity(level) });
+        }
+        for (const { slice, velocity } of pickSlices(active, m)) {
+          target.playBreakbeatSlice(slice, currentNumSlices, time, velocity, { muted: false, volume: vols[slice] });
+        }
+      } else {
+        const m = muteRef.current;
+        const vols = volumesRef.current;
+        for (let r = 0; r < voiceCountRef.current; r++) {
+          const row = track.startRow + r;
+          const voice = track.firstVoice + r;
+          if (row >= ROWS || voice >= voiceCountRef.current) break;
+          const level = gridBuf[row * COLS + col];
+          if (!level) continue;
+          target.triggerRow(voice, time, levelToVelocity(level), {
+            mode: track.mode,
+            channel: track.mode === 'midi' ? track.midiChannel : null,
+            muted: !!m[voice],
+            volume: vols[voice]
+          });
         }
       }
     }
   }
 
+  // Rows a selection spans in a given mode: one per slice (up to the grid height) or one per voice
+  // from firstVoice on
+  function selectionHeightFor(trackMode, rows = ROWS, firstVoice = 0) {
+    return trackMode === 'breakbeat' ? Math.min(numSlices, rows) : Math.max(1, voiceCount - firstVoice);
+  }
+
+  // First slice on a breakbeat track's top row: its page of grid-height slices, like the main selection's
+  function trackSliceOffset(track, slices = numSlices) {
+    const rows = Math.min(slices, ROWS);
+    return Math.min(track.slicePage, Math.ceil(slices / rows) - 1) * rows;
+  }
+
+  // Pull a track back inside a grid of rows x cols (the current one by default)
+  function clampTrack(track, rows = ROWS, cols = COLS) {
+    track = { ...track, firstVoice: Math.max(0, Math.min(voiceCount - 1, track.firstVoice | 0)) };
+    const height = selectionHeightFor(track.mode, rows, track.firstVoice);
+    const length = Math.max(1, Math.min(cols, track.length | 0));
+    return {
+      ...track,
+      length,
+      startCol: Math.max(0, Math.min(cols - length, track.startCol | 0)),
+      startRow: Math.max(0, Math.min(rows - height, track.startRow | 0))
+    };
+  }
+
+  function addTrack() {
+    const id = tracks.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+    const color = TRACK_COLORS[(id - 1) % TRACK_COLORS.length];
+    // Start just below the lowest selection (or back at the top when there is no room), same columns as the main one
+    const below = tracks.reduce((max, t) => Math.max(max, t.startRow + selectionHeightFor(t.mode, ROWS, t.firstVoice)), selection.startRow + numRows);
+    const startRow = below + voiceCount <= ROWS ? below : 0;
+    const track = clampTrack({
+      id, color, mode: 'sample', startRow, startCol: selection.startCol, length: selection.length,
+      muted: false, firstVoice: 0, midiChannel: Math.min(16, id + 1),
+      slicePage: 0, sliceMutes: new Array(MAX_SLICES).fill(false), sliceVolumes: new Array(MAX_SLICES).fill(1)
+    });
+    setTracks(prev => [...prev, track]);
+    setEditTrackId(id);
+  }
+
+  function updateTrack(id, changes) {
+    setTracks(prev => prev.map(t => (t.id === id ? clampTrack({ ...t, ...changes }) : t)));
+  }
+
+  // Mute or volume of one slice on a breakbeat track
+  function updateTrackSlice(id, slice, { muted, volume }) {
+    setTracks(prev => prev.map(t => {
+      if (t.id !== id) return t;
+      const next = { ...t };
+      if (muted !== undefined) next.sliceMutes = t.sliceMutes.map((m, i) => (i === slice ? muted : m));
+      if (volume !== undefined) next.sliceVolumes = t.sliceVolumes.map((v, i) => (i === slice ? volume : v));
+      return next;
+    }));
+  }
+
+  function removeTrack(id) {
+    setTracks(prev => prev.filter(t => t.id !== id));
+    if (editTrackId === id) setEditTrackId(null);
+  }
+
   function toggleCell(row, col) {
     const idx = row * COLS + col;
     const ng = new Uint8Array(grid);
-    ng[idx] = ng[idx] ? 0 : 1;
+    ng[idx] = ng[idx] ? 0 : VELOCITY_LEVELS;
     setGrid(ng);
   }
 
+  // Step an active cell's velocity level up or down (off cells are left alone); wraps when `wrap` is set
+  function adjustCellVelocity(row, col, delta, wrap = false) {
+    const idx = row * COLS + col;
+    setGrid(prev => {
+      if (!prev[idx]) return prev;
+      let level = prev[idx] + delta;
+      if (wrap) level = ((level - 1 + VELOCITY_LEVELS) % VELOCITY_LEVELS) + 1;
+      else level = Math.max(1, Math.min(VELOCITY_LEVELS, level));
+      if (level === prev[idx]) return prev;
+      const ng = new Uint8Array(prev);
+      ng[idx] = level;
+      return ng;
+    });
+  }
+
   // clamp current column when selection length changes while playing
   useEffect(() => {
     const len = Math.max(1, selection.length);
-    if (currentColRef.current >= len) currentColRef.current = currentColRef.current % len;
+    transport.setPatternLength(len);
     setCurrentStep(prev => prev % len);
-  }, [selection.length]);
+  }, [selection.length, transport]);
 
   // Handle selection changes with proper beat quantization
   useEffect(() => {
     if (!playing) return;
-    
-    const audioCtx = audioCtxRef.current;
-    const audioNow = audioCtx.currentTime;
-    const secPerStep = stepIntervalSec;
-    
-    // Calculate the next beat boundary
-    // Find the next step time that's at least 25ms in the future to allow for processing
-    const minSwitchTime = audioNow + 0.025;
-    
-    // Calculate how many steps have elapsed since the absolute start
-    const elapsedTime = audioNow - absoluteTimeRef.current;
-    const totalStepsElapsed = elapsedTime / secPerStep;
-    const nextStepBoundary = Math.ceil(totalStepsElapsed) * secPerStep;
-    const nextBeatTime = absoluteTimeRef.current + nextStepBoundary;
-    
-    // Use the next beat boundary that's far enough in the future
-    const switchTime = Math.max(minSwitchTime, nextBeatTime);
-    
-    // Schedule the selection change for the next beat boundary
-    pendingSelectionRef.current = {
-      selection: { ...selection },
-      switchTime: switchTime
-    };
-    
+    transport.queuePatternChange(selection.length);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selection.startCol, selection.startRow, selection.length]);  // mouse handlers for selection & toggling
   const mouseStateRef = useRef({ startRow: 0, startCol: 0, dragging: false });
 
+  const gridCanvasRef = useRef(null);
+  const gridRendererRef = useRef(null);
+
+  // Hit-test a pointer/mouse event against the canvas grid; null when outside the cells
+  function gridCellFromEvent(e) {
+    const renderer = gridRendererRef.current;
+    return renderer ? renderer.cellAt(e.clientX, e.clientY, ROWS, COLS) : null;
+  }
+
   function onGridPointerDown(e) {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const cellW = rect.width / COLS;
-    const cellH = rect.height / ROWS;
-    const col = Math.floor((e.clientX - rect.left) / cellW);
-    const row = Math.floor((e.clientY - rect.top) / cellH);
-
-    // If command/meta is pressed, don't change selection - just let click handler toggle the cell
-    if (e.metaKey || e.ctrlKey) {
+    const cell = gridCellFromEvent(e);
+    if (!cell) return;
+    const { row, col } = cell;
+
+    // If command/meta (toggle) or alt (velocity) is pressed, don't change selection - just let click handler edit the cell
+    if (e.metaKey || e.ctrlKey || e.altKey) {
+      return;
+    }
+
+    // Drawing a walker path: each click adds a point and leaves the selection alone
+    if (drawingPath) {
+      setWalkerPath(prev => [...prev, { row, col }]);
       return;
     }
 
     mouseStateRef.current = { startRow: row, startCol: col, dragging: true };
     setIsDragging(true);
 
+    // While a track is being edited the pointer places that track instead of the main selection
+    if (editTrackId !== null) {
+      updateTrack(editTrackId, { startRow: row, startCol: col, length: 4 });
+      return;
+    }
+
     // start selection with top anchored so selection is 4 or 8 rows tall depending on mode
-    const selectionHeight = mode === 'breakbeat' ? numSlices : 4;
-    const startRowFixed = Math.max(0, Math.min(ROWS - selectionHeight, row));
+    const startRowFixed = Math.max(0, Math.min(ROWS - numRows, row));
     const newSelection = { active: true, startRow: startRowFixed, startCol: col, length: 4 };
     
     // Update visual immediately, schedule playback change for next beat
@@ -837,21 +2753,32 @@ export default function SequencerDemo() {
 
   function onGridPointerMove(e) {
     if (!mouseStateRef.current.dragging) return;
-    const rect = e.currentTarget.getBoundingClientRect();
-    const cellW = rect.width / COLS;
-    const col = Math.floor((e.clientX - rect.left) / cellW);
+    const cell = gridCellFromEvent(e);
+    if (!cell) return;
+    const { col } = cell;
 
     const startCol = mouseStateRef.current.startCol;
     const len = Math.max(1, Math.abs(col - startCol) + 1);
     const startColFinal = Math.min(startCol, col);
     
+    if (editTrackId !== null) {
+      updateTrack(editTrackId, { startCol: startColFinal, length: len });
+      return;
+    }
+
     // Update visual selection immediately
     setSelection(sel => ({ ...sel, startCol: startColFinal, length: len }));
   }
 
   function onGridPointerUp(e) {
+    if (drawingPath) return;
     mouseStateRef.current.dragging = false;
     setIsDragging(false);
+    if (editTrackId !== null) {
+      // A click without a horizontal drag gives the track 4 steps
+      setTracks(prev => prev.map(t => (t.id === editTrackId && t.length <= 1 ? clampTrack({ ...t, length: 4 }) : t)));
+      return;
+    }
     // if it was a click (no horizontal drag), ensure length at least 4
     setSelection(sel => {
       if (sel.length <= 1) {
@@ -866,37 +2793,103 @@ export default function SequencerDemo() {
     });
   }
 
-  // clicking a cell with command/meta toggles it; otherwise just changes selection
+  // clicking a cell with command/meta toggles it; alt/option cycles its velocity; otherwise just changes selection
   function onCellClick(row, col, ev) {
     // Command/Ctrl key toggles the cell
     if (ev.metaKey || ev.ctrlKey) {
       toggleCell(row, col);
       return;
     }
+    // Alt/Option steps the velocity down, wrapping from softest back to full
+    if (ev.altKey) {
+      adjustCellVelocity(row, col, -1, true);
+      return;
+    }
     // Without modifier, clicking just updates selection (handled by pointer events)
     // Do nothing here - selection is already updated by onGridPointerDown
   }
 
+  function onGridClick(ev) {
+    const cell = gridCellFromEvent(ev);
+    if (cell) onCellClick(cell.row, cell.col, ev);
+  }
+
+  // Mouse wheel over an active cell nudges its velocity
+  function onGridWheel(ev) {
+    const cell = gridCellFromEvent(ev);
+    if (!cell || !grid[cell.row * COLS + cell.col]) return;
+    adjustCellVelocity(cell.row, cell.col, ev.deltaY < 0 ? 1 : -1);
+  }
+
   function randomizeGrid() {
-    // schedule randomize on next beat/time: we set a timeout to happen at nextStepTimeRef
+    // schedule randomize on next beat/time: we set a timeout to happen at the transport's next step
     const audioNow = audioCtxRef.current.currentTime;
-    const next = Math.max(audioNow + 0.02, nextStepTimeRef.current || audioNow + 0.05);
+    const next = Math.max(audioNow + 0.02, transport.nextStepTime || audioNow + 0.05);
     const ms = Math.max(0, (next - audioNow) * 1000);
     setTimeout(()=>{ 
-      const newGrid = new Uint8Array(ROWS*COLS); 
-      for (let i=0;i<newGrid.length;i++) newGrid[i] = Math.random() < density ? 1 : 0; 
-      setGrid(newGrid); 
+      // Size from the grid current at fire time, in case it was resized in the meantime
+      setGrid(prev => {
+        const newGrid = new Uint8Array(prev.length);
+        for (let i=0;i<newGrid.length;i++) newGrid[i] = Math.random() < density ? VELOCITY_LEVELS : 0; 
+        return newGrid;
+      });
     }, ms);
   }
   
-  // Apply selection changes on beat quantization
-  function scheduleSelectionChange(newSelection) {
+  // Move the selection's top-left corner (clamped to the grid) through the quantized switching path
+  function moveSelectionTo(startCol, startRow) {
+    const col = Math.max(0, Math.min(COLS - selection.length, startCol | 0));
+    const row = Math.max(0, Math.min(ROWS - numRows, startRow | 0));
+    if (col === selection.startCol && row === selection.startRow) return;
+    scheduleSelectionChange({ ...selection, startCol: col, startRow: row });
+  }
+
+  // Resize the grid, keeping the overlapping cells and pulling the selection back inside the new bounds
+  function changeGridSize(rows, cols) {
+    if (rows === ROWS && cols === COLS) return;
+    setGrid(resizeGrid(grid, ROWS, COLS, rows, cols));
+    setGridDims({ rows, cols });
+    setTracks(prev => prev.map(t => clampTrack(t, rows, cols)));
+    const height = selectionHeightFor(mode, rows);
+    const length = Math.min(selection.length, cols);
+    const startCol = Math.max(0, Math.min(cols - length, selection.startCol));
+    const startRow = Math.max(0, Math.min(rows - height, selection.startRow));
+    if (length !== selection.length || startCol !== selection.startCol || startRow !== selection.startRow) {
+      scheduleSelectionChange({ ...selection, startCol, startRow, length });
+    }
+  }
+
+  function changeVoiceCount(count) {
+    setVoiceCount(Math.max(1, Math.min(MAX_VOICES, count | 0)));
+  }
+
+  // A taller (or shorter) voice set can push the selection and tracks off the grid; pull them back in
+  useEffect(() => {
+    moveSelectionTo(selection.startCol, selection.startRow);
+    setTracks(prev => prev.map(t => clampTrack(t)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [voiceCount]);
+
+  // Persist the pattern and its size, debounced so bursts of edits write once
+  useEffect(() => {
+    if (grid.length !== ROWS * COLS) return;
+    const id = setTimeout(() => saveStoredPattern(ROWS, COLS, grid), 300);
+    return () => clearTimeout(id);
+  }, [grid, ROWS, COLS]);
+
+  // Apply selection changes on beat quantization. `immediate` is for callers that already run on a step
+  // boundary (from the transport's onStep), where the scheduler can switch before scheduling that step.
+  function scheduleSelectionChange(newSelection, immediate = false) {
     // Update visual selection immediately
     setSelection(newSelection);
+    if (immediate) {
+      selectionRef.current = newSelection;
+      return;
+    }
     
     // Schedule the playback selection change at the next beat
     const audioNow = audioCtxRef.current.currentTime;
-    const next = Math.max(audioNow + 0.02, nextStepTimeRef.current || audioNow + 0.05);
+    const next = Math.max(audioNow + 0.02, transport.nextStepTime || audioNow + 0.05);
     const ms = Math.max(0, (next - audioNow) * 1000);
     
     setTimeout(() => {
@@ -905,6 +2898,69 @@ export default function SequencerDemo() {
     }, ms);
   }
   
+  // Render N bars of the current selection offline and download them as a WAV file
+  async function bounceSelectionToWav() {
+    const sel = selectionRef.current || selection;
+    const divisor = NOTE_DIVISORS[noteLength] || 4;
+    const tempo = Number(bpm) || 120;
+    const secPerStep = 60 / tempo / divisor;
+    const totalSteps = bounceBars * divisor * 4; // 4/4: four beats per bar
+    const len = Math.max(1, sel.length || 1);
+
+    setBouncing(true);
+    try {
+      const rendered = await engine.renderOffline(totalSteps * secPerStep, (offlineEngine) => {
+        // Same step walk as the live scheduler: loop through the selection (and track) columns from step 0
+        for (let i = 0; i < totalSteps; i++) {
+          const time = Math.max(0, i * secPerStep + grooveOffset(i, secPerStep, transport.groove));
+          scheduleStep(i % len, time, offlineEngine);
+          scheduleTracks(i, time, offlineEngine);
+        }
+      });
+      const blob = encodeWav(rendered, bounceBitDepth);
+      downloadBlob(blob, `drum-grid-${mode}-${tempo}bpm-${bounceBars}bar${bounceBars > 1 ? 's' : ''}.wav`);
+    } catch (err) {
+      console.error('WAV bounce failed:', err);
+    } finally {
+      setBouncing(false);
+    }
+  }
+
+  // Groove selection: built-in templates, imported files, or a hand-edited offset table
+  function selectGroove(id) {
+    const groove = GROOVE_TEMPLATES[id] || importedGrooves[id];
+    setGrooveId(id);
+    if (!groove) return; // 'custom' keeps the current table
+    setGrooveOffsets(groove.offsets);
+    setGrooveText(groove.offsets.map(v => Math.round(v * 100)).join(', '));
+    if (groove.swing) setSwing(groove.swing);
+  }
+
+  function handleGrooveTextChange(text) {
+    setGrooveText(text);
+    const offsets = parseGrooveOffsets(text);
+    if (offsets) {
+      setGrooveOffsets(offsets);
+      setGrooveId('custom');
+    }
+  }
+
+  async function handleGrooveFileInput(e) {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return;
+    const groove = parseGrooveFile(await f.text(), f.name.replace(/\.[^.]+$/, ''));
+    if (!groove) {
+      console.error('Could not parse groove file:', f.name);
+      return;
+    }
+    const id = `file:${f.name}`;
+    setImportedGrooves(prev => ({ ...prev, [id]: groove }));
+    setGrooveId(id);
+    setGrooveOffsets(groove.offsets);
+    setGrooveText(groove.offsets.map(v => Math.round(v * 100)).join(', '));
+    if (groove.swing) setSwing(groove.swing);
+  }
+
   // Apply density to current grid pattern
   function applyDensity(newDensity) {
     setDensity(newDensity);
@@ -914,10 +2970,10 @@ export default function SequencerDemo() {
       setGrid(new Uint8Array(ROWS * COLS).fill(0));
     } else if (newDensity === 1) {
       // Fully filled
-      setGrid(new Uint8Array(ROWS * COLS).fill(1));
+      setGrid(new Uint8Array(ROWS * COLS).fill(VELOCITY_LEVELS));
     } else {
       // Calculate current fill ratio
-      const currentFilled = grid.reduce((sum, val) => sum + val, 0);
+      const currentFilled = grid.reduce((sum, val) => sum + (val ? 1 : 0), 0);
       const currentTotal = ROWS * COLS;
       
       // Determine how many cells to add or remove
@@ -942,13 +2998,13 @@ export default function SequencerDemo() {
         }
         
         for (let i = 0; i < Math.min(diff, offIndices.length); i++) {
-          newGrid[offIndices[i]] = 1;
+          newGrid[offIndices[i]] = VELOCITY_LEVELS;
         }
       } else {
         // Need to remove cells - randomly turn on cells to off
         const onIndices = [];
         for (let i = 0; i < currentTotal; i++) {
-          if (newGrid[i] === 1) onIndices.push(i);
+          if (newGrid[i] !== 0) onIndices.push(i);
         }
         
         // Shuffle and pick random cells to clear
@@ -982,8 +3038,105 @@ export default function SequencerDemo() {
     if (!file) return;
     const arrayBuffer = await file.arrayBuffer();
     const audioBuffer = await audioCtxRef.current.decodeAudioData(arrayBuffer.slice(0));
+    const libraryId = await storeSound(file, arrayBuffer, 'sample');
+    // Keep the file so a saved kit can embed it
+    setVoiceSample(rowIndex, audioBuffer, { name: file.name, file, libraryId });
+  }
+
+  // Put a decoded sample (or null to clear) into a voice slot; `info` is { name, url?, file?, libraryId? }
+  function setVoiceSample(rowIndex, audioBuffer, info) {
     engine.loadSample(rowIndex, audioBuffer);
-    setSamplesInfo(prev => { const copy = prev.slice(); copy[rowIndex] = { name: file.name, len: Math.round(audioBuffer.duration*1000) }; return copy; });
+    saveStoredSlot('sample', rowIndex, (audioBuffer && info && info.libraryId) || null);
+    setSamplesInfo(prev => { const copy = prev.slice(); copy[rowIndex] = audioBuffer ? { ...info, len: Math.round(audioBuffer.duration*1000) } : null; return copy; });
+    setSampleWaveforms(prev => { const copy = prev.slice(); copy[rowIndex] = audioBuffer ? generateWaveform(audioBuffer) : null; return copy; });
+  }
+
+  async function loadSampleFromUrl(rowIndex, url, name) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    const arrayBuffer = await response.arrayBuffer();
+    const audioBuffer = await audioCtxRef.current.decodeAudioData(arrayBuffer);
+    setVoiceSample(rowIndex, audioBuffer, { name: name || url.split('/').pop(), url });
+  }
+
+  // Load a kit manifest into the voices (the voice count follows the kit); `baseUrl` is where the manifest
+  // lives (for relative sample URLs). Only the slots the kit defines are replaced; the rest keep their
+  // samples and settings for when the voice count is raised again.
+  async function loadKit(manifest, baseUrl) {
+    const voices = manifest && Array.isArray(manifest.voices) ? manifest.voices.slice(0, MAX_VOICES) : [];
+    setKitName(manifest && manifest.name ? manifest.name : 'Untitled kit');
+    if (!voices.length) return;
+    changeVoiceCount(voices.length);
+    const inKit = (i) => i < voices.length;
+
+    await Promise.all(voices.map(async (voice, i) => {
+      if (!voice || !voice.url) {
+        setVoiceSample(i, null, null);
+        return;
+      }
+      const url = new URL(voice.url, baseUrl).href;
+      try {
+        await loadSampleFromUrl(i, url, voice.name);
+      } catch (err) {
+        console.warn(`Failed to load kit sample ${url}:`, err);
+        setVoiceSample(i, null, null);
+      }
+    }));
+
+    setVolumes(prev => prev.map((volume, i) => {
+      if (!inKit(i)) return volume;
+      return voices[i] && isFinite(voices[i].volume) ? Math.max(0, Math.min(1, Number(voices[i].volume))) : 1;
+    }));
+    setSampleSettings(prev => prev.map((settings, i) => (!inKit(i) ? settings : {
+      ...settings,
+      semitones: voices[i] && isFinite(voices[i].semitones) ? Number(voices[i].semitones) : 0,
+      cents: voices[i] && isFinite(voices[i].cents) ? Number(voices[i].cents) : 0,
+    })));
+    setMidiNotes(prev => prev.map((note, i) => {
+      const kitNote = voices[i] && isFinite(voices[i].midiNote) ? Math.max(0, Math.min(127, voices[i].midiNote | 0)) : note;
+      engine.setMidiNoteForRow(i, kitNote);
+      return kitNote;
+    }));
+  }
+
+  async function loadKitFromUrl(url) {
+    const manifestUrl = new URL(url, window.location.href).href;
+    const response = await fetch(manifestUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${manifestUrl}`);
+    await loadKit(await response.json(), manifestUrl);
+    setKitUrl(url);
+  }
+
+  async function handleKitFileInput(e) {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return;
+    try {
+      // A manifest picked from disk is assumed to live in the served kits/ folder
+      await loadKit(JSON.parse(await f.text()), new URL(KITS_FOLDER, window.location.href).href);
+      setKitUrl(null);
+    } catch (err) {
+      console.error('Failed to load kit manifest:', err);
+    }
+  }
+
+  // Save the current voices as a kit manifest download; samples dropped in from disk are embedded as data URLs
+  async function saveKit() {
+    const kitsBase = new URL(KITS_FOLDER, window.location.href).href;
+    const voices = await Promise.all(samplesInfo.slice(0, voiceCount).map(async (info, i) => {
+      if (!info) return null;
+      const url = info.url ? relativeUrl(info.url, kitsBase) : info.file ? await blobToDataUrl(info.file) : null;
+      return {
+        name: info.name,
+        url,
+        volume: volumes[i],
+        semitones: sampleSettings[i].semitones,
+        cents: sampleSettings[i].cents,
+        midiNote: midiNotes[i]
+      };
+    }));
+    const manifest = { name: kitName, voices };
+    const filename = `${kitName.trim().replace(/[^a-z0-9_-]+/gi, '_') || 'kit'}.json`;
+    downloadBlob(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), filename);
   }
 
   function handleFileInput(e, rowIndex) { const f = e.target.files && e.target.files[0]; if (f) handleSampleDrop(rowIndex,f); }
@@ -992,24 +3145,32 @@ export default function SequencerDemo() {
   async function handleBreakbeatDrop(file) {
     if (!file) return;
     const arrayBuffer = await file.arrayBuffer();
+    const libraryId = await storeSound(file, arrayBuffer, 'breakbeat');
+    await loadBreakbeat(arrayBuffer, file.name, libraryId);
+  }
+
+  async function loadBreakbeat(arrayBuffer, filename, libraryId = null) {
     const audioBuffer = await audioCtxRef.current.decodeAudioData(arrayBuffer.slice(0));
     setBreakbeatBuffer(audioBuffer);
     engine.setBreakbeatBuffer(audioBuffer);
-    
-    // Extract BPM from filename if present (look for numbers between 1-800)
-    const filename = file.name;
-    const bpmMatch = filename.match(/\b([1-9]\d{0,2}|[1-7]\d{2}|800)\b/g);
-    if (bpmMatch) {
-      // Filter to only valid BPM range (typically 60-200, but allow 1-800 as requested)
-      const validBPMs = bpmMatch.map(Number).filter(n => n >= 1 && n <= 800);
-      if (validBPMs.length > 0) {
-        // Use the most likely BPM (prefer values in typical range 60-200)
-        const likelyBPM = validBPMs.find(n => n >= 60 && n <= 200) || validBPMs[0];
-        setBreakbeatBPM(likelyBPM);
-        setBpm(likelyBPM);
-        // Update engine immediately
-        engine.setBreakbeatBPM(likelyBPM);
-        engine.setCurrentBPM(likelyBPM);
+    setBreakbeatName(filename);
+    saveStoredSlot('breakbeat', 0, libraryId);
+
+    // Estimate the tempo from the audio; the file name is only consulted when that's inconclusive
+    const tempo = detectTempo(audioBuffer);
+    setTempoAnalysis(tempo);
+    if (tempo && tempo.confidence >= TEMPO_CONFIDENCE_THRESHOLD) {
+      applyBreakbeatBPM(tempo.bpm);
+    } else {
+      // Extract BPM from filename if present (look for numbers between 1-800)
+      const bpmMatch = filename.match(/\b([1-9]\d{0,2}|[1-7]\d{2}|800)\b/g);
+      if (bpmMatch) {
+        // Filter to only valid BPM range (typically 60-200, but allow 1-800 as requested)
+        const validBPMs = bpmMatch.map(Number).filter(n => n >= 1 && n <= 800);
+        if (validBPMs.length > 0) {
+          // Use the most likely BPM (prefer values in typical range 60-200)
+          applyBreakbeatBPM(validBPMs.find(n => n >= 60 && n <= 200) || validBPMs[0]);
+        }
       }
     }
     
@@ -1018,52 +3179,369 @@ export default function SequencerDemo() {
     setBreakbeatWaveform(waveformData);
   }
   
+  // Set the breakbeat's original tempo and match the sequencer to it
+  function applyBreakbeatBPM(value) {
+    setBreakbeatBPM(value);
+    setBpm(value);
+    // Update engine immediately
+    engine.setBreakbeatBPM(value);
+    engine.setCurrentBPM(value);
+  }
+
   function handleBreakbeatFileInput(e) { const f = e.target.files && e.target.files[0]; if (f) handleBreakbeatDrop(f); }
 
+  // -------- Transient marker editing on the waveform (positions are fractions of the breakbeat) --------
+  const MIN_MARKER_GAP = 0.002;
+  const fractionFromEvent = (e, svg) => {
+    const rect = svg.getBoundingClientRect();
+    return rect.width > 0 ? Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) : 0;
+  };
+
+  // Drag a marker, kept between its neighbours so the markers stay sorted
+  function startMarkerDrag(e, index) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const svg = e.currentTarget.ownerSVGElement;
+    const move = (ev) => {
+      const pos = fractionFromEvent(ev, svg);
+      setSlicePoints(prev => {
+        const lo = index > 0 ? prev[index - 1] + MIN_MARKER_GAP : 0;
+        const hi = index < prev.length - 1 ? prev[index + 1] - MIN_MARKER_GAP : 1 - MIN_MARKER_GAP;
+        const copy = prev.slice();
+        copy[index] = Math.max(lo, Math.min(hi, pos));
+        return copy;
+      });
+    };
+    const up = () => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  }
+
+  function addMarkerAt(e) {
+    const pos = fractionFromEvent(e, e.currentTarget);
+    setSlicePoints(prev => prev.some(p => Math.abs(p - pos) < MIN_MARKER_GAP) ? prev : [...prev, pos].sort((a, b) => a - b));
+  }
+
+  function deleteMarker(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    setSlicePoints(prev => prev.filter((_, i) => i !== index));
+  }
+
+  // -------- Sound library --------
+  const [library] = useState(() => new SoundLibrary());
+  const [librarySounds, setLibrarySounds] = useState([]); // Metadata of stored sounds
+  const [libraryOpen, setLibraryOpen] = useState(false);
+
+  function refreshLibrary() {
+    library.list().then(setLibrarySounds).catch(err => console.warn('Sound library unavailable:', err));
+  }
+
+  // Store a user-loaded file in the library (re-using an identical earlier entry); resolves to its id or null
+  async function storeSound(file, arrayBuffer, kind) {
+    try {
+      const existing = (await library.list()).find(s => s.name === file.name && s.size === arrayBuffer.byteLength && s.kind === kind);
+      const id = existing ? existing.id : await library.add({ name: file.name, kind, type: file.type, size: arrayBuffer.byteLength, data: arrayBuffer });
+      refreshLibrary();
+      return id;
+    } catch (err) {
+      console.warn('Could not store sound in library:', err);
+      return null;
+    }
+  }
+
+  // Load a stored sound into a voice slot (rowIndex >= 0) or as the breakbeat (rowIndex === 'breakbeat')
+  async function loadLibrarySound(id, target) {
+    try {
+      const record = await library.get(id);
+      if (!record) return;
+      if (target === 'breakbeat') {
+        await loadBreakbeat(record.data, record.name, record.id);
+      } else {
+        const audioBuffer = await audioCtxRef.current.decodeAudioData(record.data.slice(0));
+        setVoiceSample(target, audioBuffer, { name: record.name, file: new Blob([record.data], { type: record.type }), libraryId: record.id });
+      }
+    } catch (err) {
+      console.error('Failed to load sound from library:', err);
+    }
+  }
+
+  async function renameLibrarySound(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    await library.rename(id, trimmed).catch(err => console.error('Rename failed:', err));
+    refreshLibrary();
+  }
+
+  async function deleteLibrarySound(id) {
+    await library.delete(id).catch(err => console.error('Delete failed:', err));
+    // Sounds already loaded keep playing; they just won't be restored on the next reload
+    const slots = loadStoredSlots();
+    slots.samples.forEach((slotId, i) => { if (slotId === id) saveStoredSlot('sample', i, null); });
+    if (slots.breakbeat === id) saveStoredSlot('breakbeat', 0, null);
+    refreshLibrary();
+  }
+
+  // Put back the sounds that were loaded from disk before the last reload
+  async function restoreStoredSounds(slots) {
+    // Show every voice that gets a sound back
+    const lastVoice = slots.samples.slice(0, MAX_VOICES).reduce((last, id, i) => (id != null ? i : last), -1);
+    if (lastVoice >= 0) setVoiceCount(count => Math.max(count, lastVoice + 1));
+    await Promise.all(slots.samples.map((id, i) => (id != null && i < MAX_VOICES ? loadLibrarySound(id, i) : null)));
+    if (slots.breakbeat != null) await loadLibrarySound(slots.breakbeat, 'breakbeat');
+  }
+
   // simple UI for MIDI outputs
   const [midiOutputs, setMidiOutputs] = useState([]);
+  const [midiOutputId, setMidiOutputId] = useState(null);
+  const [midiClockOutputIds, setMidiClockOutputIds] = useState([]); // Mirrors engine.midiClockOutputIds for the UI
+  const [midiInputs, setMidiInputs] = useState([]);
+  const [midiInputId, setMidiInputId] = useState(null);
   useEffect(()=>{
     if (navigator.requestMIDIAccess) {
-      navigator.requestMIDIAccess().then(m=>{ const outs = Array.from(m.outputs.values()); setMidiOutputs(outs); if (outs.length>0) engine.setMidiOutput(outs[0]); });
+      navigator.requestMIDIAccess().then(m=>{
+        const outs = Array.from(m.outputs.values()); setMidiOutputs(outs); if (outs.length>0) { engine.setMidiOutput(outs[0]); setMidiOutputId(outs[0].id); }
+        const ins = Array.from(m.inputs.values()); setMidiInputs(ins); if (ins.length>0) setMidiInputId(ins[0].id);
+      });
     }
   }, [engine]);
 
-  // Preload default samples on mount
+  // Follow the selected input's clock only while external sync is on
   useEffect(() => {
-    const sampleFiles = [
-      'samples/1_kick.wav',
-      'samples/2_snare.wav',
-      'samples/3_crash.wav',
-      'samples/4_chh2.wav'
-    ];
-    
-    async function loadSamples() {
-      for (let i = 0; i < sampleFiles.length; i++) {
-        try {
-          const response = await fetch(sampleFiles[i]);
-          if (!response.ok) continue;
-          const arrayBuffer = await response.arrayBuffer();
-          const audioBuffer = await audioCtxRef.current.decodeAudioData(arrayBuffer);
-          engine.loadSample(i, audioBuffer);
-          setSamplesInfo(prev => {
-            const copy = prev.slice();
-            copy[i] = { name: sampleFiles[i].split('/').pop(), len: Math.round(audioBuffer.duration * 1000) };
-            return copy;
-          });
-        } catch (err) {
-          console.warn(`Failed to load sample ${sampleFiles[i]}:`, err);
-        }
+    const input = midiInputs.find(i => i.id === midiInputId);
+    if (syncMode === 'external' && input) clockFollower.attach(input);
+    else clockFollower.detach();
+  }, [syncMode, midiInputId, midiInputs, clockFollower]);
+
+  // Incoming note-ons play the matching voice (or breakbeat slice) and, when armed, are recorded into the grid
+  function handleMidiInputNote(note, velocity, timeStamp) {
+    let row = -1;
+    if (mode === 'breakbeat') {
+      row = note - BREAKBEAT_BASE_NOTE;
+      if (row < 0 || row >= numSlices) return;
+      if (!sliceMute[row]) {
+        engine.playBreakbeatSlice(row, numSlices, null, velocity, { muted: false, volume: sliceVolumes[row] });
       }
+    } else {
+      row = midiNotes.slice(0, voiceCount).indexOf(note);
+      if (row < 0) return;
+      engine.triggerRow(row, null, velocity, { muted: !!mute[row], volume: volumes[row] });
     }
-    
-    loadSamples();
+
+    if (!recordArmed || !playing) return;
+    // Slices off the current page have no row in the selection to record into
+    if (mode === 'breakbeat') {
+      row -= sliceOffset;
+      if (row < 0 || row >= sliceRows) return;
+    }
+    // Quantize to the nearest step as it sounds: the last scheduled step (stepCount - 1) is on column
+    // position - 1 at nextStepTime - secPerStep on the straight grid, and the hit is measured against
+    // that on the audio clock
+    const sel = selectionRef.current || selection;
+    const len = Math.max(1, sel.length || 1);
+    const secPerStep = transport.stepDuration;
+    const offset = nearestGroovedStep(engine.perfMsToAudioTime(timeStamp), transport.stepCount - 1,
+      transport.nextStepTime - secPerStep, secPerStep, transport.groove);
+    const col = (((transport.position - 1 + offset) % len) + len) % len;
+    const gridRow = sel.startRow + row;
+    const gridCol = sel.startCol + col;
+    if (gridRow < 0 || gridRow >= ROWS || gridCol < 0 || gridCol >= COLS) return;
+    const idx = gridRow * COLS + gridCol;
+    const level = velocityToLevel(velocity);
+    setGrid(prev => {
+      if (prev[idx] === level) return prev;
+      const ng = new Uint8Array(prev);
+      ng[idx] = level;
+      return ng;
+    });
+  }
+
+  // Route an incoming note-on or CC: MIDI learn first, then learned bindings, then voice audition/recording
+  function handleMidiInputMessage(type, channel, number, value, timeStamp) {
+    if (midiLearn && learnTarget) {
+      // One binding per control: re-learning replaces the old source
+      setMidiMappings(prev => [...prev.filter(m => m.target !== learnTarget), { target: learnTarget, type, channel, number }]);
+      setLearnTarget(null);
+      return;
+    }
+
+    const bound = midiMappings.filter(m => m.type === type && m.channel === channel && m.number === number);
+    if (bound.length > 0) {
+      bound.forEach(m => applyMidiMapping(m, value));
+      return;
+    }
+    if (type === 'note') handleMidiInputNote(number, value, timeStamp);
+  }
+
+  // Drive a control from a 0-127 value (CC value or note velocity)
+  function applyMidiMapping(mapping, value) {
+    const [kind, indexStr] = mapping.target.split(':');
+    const index = Number(indexStr);
+    const norm = value / 127;
+
+    // Buttons and toggles fire on a press: any note-on, or a CC crossing 64 upwards
+    let pressed = true;
+    if (mapping.type === 'cc') {
+      const key = `${mapping.channel}:${mapping.number}:${mapping.target}`;
+      const previous = midiTriggerStateRef.current[key] || 0;
+      midiTriggerStateRef.current[key] = value;
+      pressed = value >= 64 && previous < 64;
+    }
+
+    switch (kind) {
+      case 'bpm': {
+        const newBpm = Math.round(40 + norm * 200); // 40-240 BPM over the knob's travel
+        setBpm(newBpm);
+        if (mode === 'breakbeat') setBreakbeatBPM(newBpm);
+        break;
+      }
+      case 'density':
+        handleDensityChange(Math.round(norm * 100) / 100);
+        break;
+      case 'noteLength':
+        setNoteLength(NOTE_LENGTH_OPTIONS[Math.min(NOTE_LENGTH_OPTIONS.length - 1, Math.floor(norm * NOTE_LENGTH_OPTIONS.length))]);
+        break;
+      case 'breakbeatPitch': {
+        const newPitch = Math.round(norm * 24 - 12);
+        setBreakbeatPitch(newPitch);
+        engine.setBreakbeatPitch(newPitch);
+        break;
+      }
+      case 'selectionCol':
+        moveSelectionTo(Math.round(norm * (COLS - selection.length)), selection.startRow);
+        break;
+      case 'selectionRow':
+        moveSelectionTo(selection.startCol, Math.round(norm * (ROWS - numRows)));
+        break;
+      case 'playStop':
+        if (pressed && syncMode !== 'external') setPlaying(p => !p);
+        break;
+      case 'newSeed':
+        if (pressed) randomizeGrid();
+        break;
+      case 'volume':
+        if (mode === 'breakbeat') setSliceVolumes(v => { const copy = [...v]; copy[index] = norm; return copy; });
+        else setVolumes(v => { const copy = [...v]; copy[index] = norm; return copy; });
+        engine.setVolume(index, norm);
+        break;
+      case 'mute': {
+        // Notes toggle; CCs follow the switch position
+        const apply = (m) => { const copy = [...m]; copy[index] = mapping.type === 'cc' ? value >= 64 : !copy[index]; return copy; };
+        if (mode === 'breakbeat') setSliceMute(apply);
+        else setMute(apply);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Props for a MIDI-learnable control's wrapper (merged with its own `style`):
+  // in learn mode a click selects the control for learning instead of using it
+  function learnable(target, style) {
+    if (!midiLearn) return { style };
+    const intercept = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setLearnTarget(target);
+    };
+    const mapped = midiMappings.some(m => m.target === target);
+    return {
+      onPointerDownCapture: intercept,
+      onClickCapture: intercept,
+      title: `MIDI learn: ${midiTargetLabel(target)}`,
+      style: {
+        display: 'inline-block',
+        ...style,
+        outline: learnTarget === target ? '2px solid yellow' : `1px dashed ${mapped ? 'yellow' : 'rgba(255, 255, 255, 0.7)'}`,
+        outlineOffset: 2,
+        cursor: 'crosshair'
+      }
+    };
+  }
+
+  function updateMidiMapping(target, changes) {
+    setMidiMappings(prev => prev.map(m => (m.target === target ? { ...m, ...changes } : m)));
+  }
+
+  useEffect(() => {
+    try { window.localStorage.setItem(MIDI_MAPPINGS_STORAGE_KEY, JSON.stringify(midiMappings)); } catch (e) {}
+  }, [midiMappings]);
+
+  // The input listener is attached once per input; it calls through a ref so it always sees current state
+  const midiMessageHandlerRef = useRef(null);
+  useEffect(() => { midiMessageHandlerRef.current = handleMidiInputMessage; });
+  useEffect(() => {
+    const input = midiInputs.find(i => i.id === midiInputId);
+    if (!input) return;
+    const onMessage = (e) => {
+      const data = e.data;
+      if (!data || data.length < 3 || !midiMessageHandlerRef.current) return;
+      const status = data[0] & 0xF0;
+      const channel = (data[0] & 0x0F) + 1;
+      const ts = typeof e.timeStamp === 'number' && e.timeStamp > 0 ? e.timeStamp : performance.now();
+      // Note-on with velocity > 0 (note-on at velocity 0 is a note-off)
+      if (status === 0x90 && data[2] > 0) midiMessageHandlerRef.current('note', channel, data[1], data[2], ts);
+      else if (status === 0xB0) midiMessageHandlerRef.current('cc', channel, data[1], data[2], ts);
+    };
+    input.addEventListener('midimessage', onMessage);
+    return () => input.removeEventListener('midimessage', onMessage);
+  }, [midiInputId, midiInputs]);
+
+  function changeSyncMode(newMode) {
+    // Hand the transport over cleanly: whichever clock was running stops
+    setPlaying(false);
+    setSyncMode(newMode);
+  }
+
+  function toggleMidiClock(outputId, enabled) {
+    // Disabling mid-playback: send Stop while the output still receives clock messages
+    if (!enabled && outputId === midiOutputId) engine.stopClock();
+    engine.setMidiClockEnabled(outputId, enabled);
+    setMidiClockOutputIds(Array.from(engine.midiClockOutputIds));
+    // Enabling mid-playback: the receiver joins at the current position
+    if (enabled && playing && outputId === midiOutputId) joinMidiClock();
+  }
+
+  // Bring the clock output in mid-playback: Song Position Pointer for the next step on a 16th-note
+  // boundary, then Continue, so the receiver picks up in phase instead of restarting at bar 1
+  function joinMidiClock() {
+    const divisor = NOTE_DIVISORS[noteLength] || 4;
+    let step = transport.stepCount;
+    let time = transport.nextStepTime;
+    // SPP counts 16ths; 1/32 steps only land on one every other step
+    if ((step * 4) % divisor !== 0) {
+      step += 1;
+      time += transport.secPerStep;
+    }
+    engine.startClock(time, (step * 4) / divisor, true);
+  }
+
+  // Preload the default kit and the list of available kits on mount, then restore stored sounds on top
+  useEffect(() => {
+    // Read the stored slots first: loading the kit reassigns (and so clears) them
+    const storedSlots = loadStoredSlots();
+    loadKitFromUrl(DEFAULT_KIT_URL)
+      .catch(err => console.warn('Failed to load default kit:', err))
+      .then(() => restoreStoredSounds(storedSlots));
+    refreshLibrary();
+    fetch(KITS_FOLDER + 'index.json')
+      .then(response => (response.ok ? response.json() : []))
+      .then(list => setAvailableKits(Array.isArray(list) ? list.filter(k => k && k.url) : []))
+      .catch(() => setAvailableKits([]));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [engine]);
 
-  // Initialize with a random pattern on mount
+  // Initialize with a random pattern on mount, unless one was restored from storage
   useEffect(() => {
+    if (initialPattern) return;
     const newGrid = new Uint8Array(ROWS * COLS);
     for (let i = 0; i < newGrid.length; i++) {
-      newGrid[i] = Math.random() < density ? 1 : 0;
+      newGrid[i] = Math.random() < density ? VELOCITY_LEVELS : 0;
     }
     setGrid(newGrid);
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -1077,10 +3555,34 @@ export default function SequencerDemo() {
         return;
       }
 
+      // Number keys mute the selection's rows: 1-9 and 0 for rows 1-10, Shift+1-6 for rows 11-16
+      const digit = /^Digit\d$/.test(e.code) ? Number(e.code.slice(5)) : -1;
+      if (digit >= 0 && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        const voiceIndex = (digit === 0 ? 9 : digit - 1) + (e.shiftKey ? 10 : 0);
+        const maxVoices = mode === 'breakbeat' ? sliceRows : voiceCount;
+        if (voiceIndex >= maxVoices || (e.shiftKey && digit === 0)) return;
+        e.preventDefault();
+        if (mode === 'breakbeat') {
+          const slice = sliceOffset + voiceIndex; // Keys follow the selection's rows
+          setSliceMute(m => {
+            const newMute = [...m];
+            newMute[slice] = !newMute[slice];
+            return newMute;
+          });
+        } else {
+          setMute(m => {
+            const newMute = [...m];
+            newMute[voiceIndex] = !newMute[voiceIndex];
+            return newMute;
+          });
+        }
+        return;
+      }
+
       switch(e.key) {
-        case ' ': // Spacebar - play/stop
+        case ' ': // Spacebar - play/stop (the MIDI clock master owns the transport under external sync)
           e.preventDefault();
-          setPlaying(p => !p);
+          if (syncMode !== 'external') setPlaying(p => !p);
           break;
         
         case '+':
@@ -1103,35 +3605,6 @@ export default function SequencerDemo() {
           });
           break;
         
-        case '1':
-        case '2':
-        case '3':
-        case '4':
-        case '5':
-        case '6':
-        case '7':
-        case '8':
-        case '9':
-          e.preventDefault();
-          const voiceIndex = parseInt(e.key) - 1;
-          const maxVoices = mode === 'breakbeat' ? numSlices : 4;
-          if (voiceIndex < maxVoices) {
-            if (mode === 'breakbeat') {
-              setSliceMute(m => {
-                const newMute = [...m];
-                newMute[voiceIndex] = !newMute[voiceIndex];
-                return newMute;
-              });
-            } else {
-              setMute(m => {
-                const newMute = [...m];
-                newMute[voiceIndex] = !newMute[voiceIndex];
-                return newMute;
-              });
-            }
-          }
-          break;
-        
         default:
           break;
       }
@@ -1139,7 +3612,7 @@ export default function SequencerDemo() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [mode, numSlices]);
+  }, [mode, sliceRows, sliceOffset, syncMode, voiceCount]);
 
   // small grid renderer
   const gridRef = useRef(null);
@@ -1156,11 +3629,76 @@ export default function SequencerDemo() {
     return { r, g, b, intensity };
   };
 
+  // Bumped whenever the canvas backing store is resized and needs a full repaint
+  const [gridPaintEpoch, setGridPaintEpoch] = useState(0);
+
+  // Create the canvas renderer and keep its resolution in step with the displayed size
+  useEffect(() => {
+    const canvas = gridCanvasRef.current;
+    if (!canvas) return;
+    const renderer = new GridRenderer(canvas);
+    gridRendererRef.current = renderer;
+    const fit = () => {
+      const rect = canvas.getBoundingClientRect();
+      if (renderer.resize(rect.width, rect.height, window.devicePixelRatio || 1)) {
+        setGridPaintEpoch(n => n + 1);
+      }
+    };
+    fit();
+    let observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(fit);
+      observer.observe(canvas);
+    } else {
+      window.addEventListener('resize', fit);
+    }
+    return () => {
+      if (observer) observer.disconnect();
+      else window.removeEventListener('resize', fit);
+      gridRendererRef.current = null;
+    };
+  }, []);
+
+  // Repaint the cells affected by grid edits, selection changes and playhead moves
+  useEffect(() => {
+    const renderer = gridRendererRef.current;
+    if (!renderer) return;
+    const selections = tracks.map(t => ({
+      startRow: t.startRow,
+      startCol: t.startCol,
+      height: selectionHeightFor(t.mode, ROWS, t.firstVoice),
+      length: t.length,
+      playheadCol: playing && !t.muted ? t.startCol + (transportStep % t.length) : -1,
+      border: `rgba(${t.color.r},${t.color.g},${t.color.b},0.9)`,
+      rowColor: (i, n) => shadeRowColor(t.color, i, n)
+    }));
+    if (selection.active) {
+      // The main selection stays on top of any track it overlaps
+      selections.push({
+        startRow: selection.startRow,
+        startCol: selection.startCol,
+        height: numRows,
+        length: selection.length,
+        playheadCol: playing ? selection.startCol + currentStep : -1,
+        border: SELECTION_BORDER_COLOR,
+        rowColor: getRowColor
+      });
+    }
+    const marks = walker.mode === 'path' ? walkerPath : [];
+    renderer.draw({ grid, rows: ROWS, cols: COLS, levels: VELOCITY_LEVELS, selections, marks });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [grid, selection, numRows, playing, currentStep, tracks, transportStep, walker.mode, walkerPath, gridPaintEpoch]);
+
   // Calculate the optimal size for the grid based on viewport
   const gridSize = controlsCollapsed 
     ? 'min(100vw - 24px, calc(100vh - 80px))'  
     : 'min(calc(100vw - 500px), calc(100vh - 24px))';
 
+  // Waveform region of the slice being flashed
+  const currentlyPlayingRegion = currentlyPlayingSlice >= 0 && currentlyPlayingSlice < numSlices
+    ? sliceRegion(currentlyPlayingSlice, numSlices, sliceMode, slicePoints)
+    : null;
+
   // Define styles for themed UI components
   const uiStyles = {
     container: {
@@ -1180,8 +3718,9 @@ export default function SequencerDemo() {
       boxSizing: 'border-box'
     },
     gridContainer: {
-      width: gridSize,
-      height: gridSize,
+      // The longer side fills the available square; the other follows the grid's aspect ratio
+      width: COLS >= ROWS ? gridSize : `calc(${gridSize} * ${COLS / ROWS})`,
+      height: ROWS >= COLS ? gridSize : `calc(${gridSize} * ${ROWS / COLS})`,
       border: '1px solid rgb(255, 255, 255)',
       borderRadius: '0px',
       position: 'relative',
@@ -1284,63 +3823,12 @@ export default function SequencerDemo() {
           onPointerDown={onGridPointerDown}
           onPointerMove={onGridPointerMove}
           onPointerUp={onGridPointerUp}
+          onClick={onGridClick}
+          onWheel={onGridWheel}
           ref={gridRef}>
 
-          {/* grid cells as a CSS grid */}
-          <div style={{
-            display: 'grid', gridTemplateColumns: `repeat(${COLS}, 1fr)`, gridTemplateRows: `repeat(${ROWS}, 1fr)`, width: '100%', height: '100%'
-          }}>
-            {Array.from({ length: ROWS }).map((_, r) => (
-              Array.from({ length: COLS }).map((__, c) => {
-                const idx = r * COLS + c;
-                const on = !!grid[idx];
-                const selectionHeight = mode === 'breakbeat' ? numSlices : 4;
-                const inSelection = selection.active && r >= selection.startRow && r < selection.startRow + selectionHeight && c >= selection.startCol && c < selection.startCol + selection.length;
-                
-                // Check if this column is the currently playing step
-                const isCurrentStep = playing && inSelection && c === selection.startCol + currentStep;
-                
-                // Only show border on the outer edges of the selection
-                const isTopEdge = inSelection && r === selection.startRow;
-                const isBottomEdge = inSelection && r === selection.startRow + selectionHeight - 1;
-                const isLeftEdge = inSelection && c === selection.startCol;
-                const isRightEdge = inSelection && c === selection.startCol + selection.length - 1;
-                
-                const borderStyle = {
-                  borderTop: isTopEdge ? '2px solid rgba(0,120,255,0.9)' : 'none',
-                  borderBottom: isBottomEdge ? '2px solid rgba(0,120,255,0.9)' : 'none',
-                  borderLeft: isLeftEdge ? '2px solid rgba(0,120,255,0.9)' : 'none',
-                  borderRight: isRightEdge ? '2px solid rgba(0,120,255,0.9)' : 'none',
-                };
-                
-                // Calculate row index within selection for color coding
-                const rowIndexInSelection = inSelection ? r - selection.startRow : -1;
-                const rowColor = rowIndexInSelection >= 0 ? getRowColor(rowIndexInSelection, selectionHeight) : null;
-                
-                // Add visual indicator for current playing step
-                let background = on ? '#000' : '#fff';
-                if (inSelection && rowColor && on) {
-                  // Color-coded tint ONLY for active (black) cells
-                  // Use the full color brightness (not darkened)
-                  background = `rgb(${rowColor.r}, ${rowColor.g}, ${rowColor.b})`;
-                }
-                if (isCurrentStep) {
-                  // Green tint for playing column (overrides blue)
-                  background = on ? '#00ff00' : '#e0ffe0';
-                }
-                
-                return (
-                  <div key={`${r}-${c}`}
-                    onClick={(ev)=>onCellClick(r,c,ev)}
-                    style={{
-                      width: '100%', height: '100%', boxSizing: 'border-box',
-                      background,
-                      ...borderStyle,
-                    }} />
-                );
-              })
-            ))}
-          </div>
+          {/* grid cells are painted by GridRenderer; pointer handlers hit-test against this canvas */}
+          <canvas ref={gridCanvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
         </div>
 
         <div style={uiStyles.controlPanel}>
@@ -1361,7 +3849,7 @@ export default function SequencerDemo() {
           {!controlsCollapsed && (
             <div style={uiStyles.controlContent}>
               <div style={{ marginBottom: 8 }}>
-                <label style={uiStyles.label}>BPM: <input type="number" min={1} max={999} value={bpm} onChange={e=>{
+                <span {...learnable('bpm')}><label style={uiStyles.label}>BPM: <input type="number" min={1} max={999} value={bpm} onChange={e=>{
               const val = e.target.value;
               // Allow empty string for user to type
               if (val === '') {
@@ -1382,19 +3870,21 @@ export default function SequencerDemo() {
                 setBpm(120);
                 if (mode === 'breakbeat') setBreakbeatBPM(120);
               }
-            }} style={{...uiStyles.input, width: 50}} /></label>
+            }} style={{...uiStyles.input, width: 50}} /></label></span>
             
-            <label style={{ marginLeft: 12 }}>Note Length: 
+            <span {...learnable('noteLength')}><label style={{ marginLeft: 12 }}>Note Length: 
               <select value={noteLength} onChange={e=>setNoteLength(e.target.value)} style={Object.assign({}, uiStyles.select, {marginLeft: 4, width: '50px'})}>
                 <option value="1/4">1/4</option>
                 <option value="1/8">1/8</option>
                 <option value="1/16">1/16</option>
                 <option value="1/32">1/32</option>
               </select>
-            </label>
+            </label></span>
             
-            <button 
+            <span {...learnable('playStop')}><button 
               onClick={()=>setPlaying(p=>!p)} 
+              disabled={syncMode === 'external'}
+              title={syncMode === 'external' ? 'Transport follows external MIDI clock' : undefined}
               style={{
                 ...uiStyles.button, 
                 marginLeft: 8,
@@ -1413,12 +3903,150 @@ export default function SequencerDemo() {
               }}
             >
               {playing ? 'Stop' : 'Play'}
-            </button>
-            <button onClick={randomizeGrid} style={{...uiStyles.button, marginLeft: 8}}>New Seed</button>
+            </button></span>
+            <span {...learnable('newSeed')}><button onClick={randomizeGrid} style={{...uiStyles.button, marginLeft: 8}}>New Seed</button></span>
             <div style={{ marginTop: 6 }}>Current step: {currentStep + 1}/{selection.length}</div>
+            <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
+              <span style={uiStyles.label}>Selection:</span>
+              <span {...learnable('selectionCol')}><label>col <input type="number" min={1} max={COLS} value={selection.startCol + 1} onChange={e=>moveSelectionTo(Number(e.target.value) - 1, selection.startRow)} style={{...uiStyles.input, width: 40}} /></label></span>
+              <span {...learnable('selectionRow')}><label>row <input type="number" min={1} max={ROWS} value={selection.startRow + 1} onChange={e=>moveSelectionTo(selection.startCol, Number(e.target.value) - 1)} style={{...uiStyles.input, width: 40}} /></label></span>
+            </div>
+            <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
+              <span style={uiStyles.label}>Grid:</span>
+              <select value={ROWS} onChange={e=>changeGridSize(Number(e.target.value), COLS)} style={uiStyles.select} title="Rows">
+                {GRID_ROW_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+              <span>×</span>
+              <select value={COLS} onChange={e=>changeGridSize(ROWS, Number(e.target.value))} style={uiStyles.select} title="Columns">
+                {GRID_COL_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </div>
+            <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <span style={uiStyles.label}>Tracks:</span>
+              <button onClick={() => setEditTrackId(null)} title="Grid pointer moves the main selection"
+                style={{...uiStyles.button, fontSize: 12, background: editTrackId === null ? 'rgba(0, 120, 255, 0.6)' : uiStyles.button.background}}>Main</button>
+              <button onClick={addTrack} style={{...uiStyles.button, fontSize: 12}}>+ Track</button>
+            </div>
+            <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <span style={uiStyles.label}>Walk:</span>
+              <select value={walker.mode} onChange={e => { setWalker(w => ({ ...w, mode: e.target.value })); if (e.target.value !== 'path') setDrawingPath(false); }} style={uiStyles.select}>
+                {WALKER_MODES.map(m => <option key={m} value={m}>{m[0].toUpperCase() + m.slice(1)}</option>)}
+              </select>
+              {walker.mode !== 'off' && (
+                <label>every <select value={walker.bars} onChange={e => setWalker(w => ({ ...w, bars: Number(e.target.value) }))} style={uiStyles.select}>
+                  {WALKER_BAR_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                </select> bar{walker.bars > 1 ? 's' : ''}</label>
+              )}
+              {(walker.mode === 'step' || walker.mode === 'random' || walker.mode === 'bounce') && (
+                <>
+                  <label>→ <input type="number" min={0} max={COLS} value={walker.cols} onChange={e => setWalker(w => ({ ...w, cols: Math.max(0, Number(e.target.value) | 0) }))} style={{...uiStyles.input, width: 40}} /></label>
+                  <label>↓ <input type="number" min={0} max={ROWS} value={walker.rows} onChange={e => setWalker(w => ({ ...w, rows: Math.max(0, Number(e.target.value) | 0) }))} style={{...uiStyles.input, width: 40}} /></label>
+                </>
+              )}
+              {walker.mode === 'path' && (
+                <>
+                  <button onClick={() => setDrawingPath(d => !d)}
+                    style={{...uiStyles.button, fontSize: 12, background: drawingPath ? 'rgba(255, 102, 0, 0.6)' : uiStyles.button.background}}>
+                    {drawingPath ? 'Done' : 'Draw path'}
+                  </button>
+                  <button onClick={() => setWalkerPath([])} style={{...uiStyles.button, fontSize: 12}}>Clear</button>
+                  <span style={{ fontSize: 12 }}>{walkerPath.length} point{walkerPath.length === 1 ? '' : 's'}</span>
+                </>
+              )}
+            </div>
+            <div style={{ marginTop: 6, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <span style={uiStyles.label}>Song:</span>
+              <label><input type="checkbox" checked={songMode} onChange={e => setSongMode(e.target.checked)} /> Song mode</label>
+              <button onClick={saveScene} style={{...uiStyles.button, fontSize: 12}}>Save scene</button>
+            </div>
+            {scenes.map(sc => (
+              <div key={sc.id} style={{ marginTop: 4, display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', fontSize: 12 }}>
+                <input type="text" value={sc.name} onChange={e => updateScene(sc.id, { name: e.target.value })} style={{...uiStyles.input, width: 90, fontSize: 12}} />
+                <span>{sc.mode} · col {sc.startCol + 1} row {sc.startRow + 1} · {sc.length} steps</span>
+                <button onClick={() => applyScene(sc)} style={{...uiStyles.button, fontSize: 12}}>Recall</button>
+                <button onClick={() => addSongEntry(sc.id)} style={{...uiStyles.button, fontSize: 12}}>+ Song</button>
+                <button onClick={() => removeScene(sc.id)} style={{...uiStyles.button, fontSize: 12}}>×</button>
+              </div>
+            ))}
+            {song.length > 0 && (
+              <div style={{ marginTop: 6, fontSize: 12 }}>
+                {song.map((entry, i) => {
+                  const current = songPosition && songPosition.entry === i;
+                  const loopEnd = songLoop.end < 0 ? song.length - 1 : songLoop.end;
+                  return (
+                    <div key={i} style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 2, background: current ? 'rgba(0, 255, 0, 0.25)' : 'transparent' }}>
+                      <span style={{ width: 28 }}>{current ? '▶' : ''}{i === songLoop.start ? '[' : ''}{i + 1}{i === loopEnd ? ']' : ''}</span>
+                      <select value={entry.sceneId} onChange={e => updateSongEntry(i, { sceneId: Number(e.target.value) })} style={{...uiStyles.select, fontSize: 12}}>
+                        {scenes.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                      </select>
+                      <label>bars <input type="number" min={1} max={64} value={entry.bars} onChange={e => updateSongEntry(i, { bars: Math.max(1, Number(e.target.value) | 0) })} style={{...uiStyles.input, width: 40, fontSize: 12}} /></label>
+                      {current && <span>{songPosition.bar + 1}/{entry.bars}</span>}
+                      <button onClick={() => moveSongEntry(i, -1)} style={{...uiStyles.button, fontSize: 12}}>▲</button>
+                      <button onClick={() => moveSongEntry(i, 1)} style={{...uiStyles.button, fontSize: 12}}>▼</button>
+                      <button onClick={() => removeSongEntry(i)} style={{...uiStyles.button, fontSize: 12}}>×</button>
+                    </div>
+                  );
+                })}
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 4 }}>
+                  <label>Loop <select value={songLoop.start} onChange={e => setSongLoopPoint('start', Number(e.target.value))} style={{...uiStyles.select, fontSize: 12}}>
+                    {song.map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+                  </select></label>
+                  <label>to <select value={songLoop.end} onChange={e => setSongLoopPoint('end', Number(e.target.value))} style={{...uiStyles.select, fontSize: 12}}>
+                    <option value={-1}>end</option>
+                    {song.map((_, i) => <option key={i} value={i}>{i + 1}</option>)}
+                  </select></label>
+                </div>
+              </div>
+            )}
+            {tracks.map((t, i) => {
+              const rgb = `${t.color.r}, ${t.color.g}, ${t.color.b}`;
+              return (
+                <div key={t.id} style={{ marginTop: 4, display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', fontSize: 12 }}>
+                  <button onClick={() => setEditTrackId(editTrackId === t.id ? null : t.id)} title="Grid pointer moves/resizes this track"
+                    style={{...uiStyles.button, fontSize: 12, border: `1px solid rgb(${rgb})`, background: editTrackId === t.id ? `rgba(${rgb}, 0.6)` : uiStyles.button.background}}>
+                    Track {i + 1}
+                  </button>
+                  <select value={t.mode} onChange={e => updateTrack(t.id, { mode: e.target.value })} style={{...uiStyles.select, fontSize: 12}}>
+                    {TRACK_MODES.map(m => <option key={m} value={m}>{m === 'midi' ? 'MIDI' : m[0].toUpperCase() + m.slice(1)}</option>)}
+                  </select>
+                  {t.mode !== 'breakbeat' && (
+                    <label>voices <select value={t.firstVoice} onChange={e => updateTrack(t.id, { firstVoice: Number(e.target.value) })} style={{...uiStyles.select, fontSize: 12}}>
+                      {Array.from({ length: voiceCount }, (_, v) => <option key={v} value={v}>{v + 1}-{voiceCount}</option>)}
+                    </select></label>
+                  )}
+                  {t.mode === 'midi' && (
+                    <label>ch <select value={t.midiChannel} onChange={e => updateTrack(t.id, { midiChannel: Number(e.target.value) })} style={{...uiStyles.select, fontSize: 12}}>
+                      {Array.from({ length: 16 }, (_, c) => <option key={c + 1} value={c + 1}>{c + 1}</option>)}
+                    </select></label>
+                  )}
+                  <label>len <input type="number" min={1} max={COLS} value={t.length} onChange={e => updateTrack(t.id, { length: Number(e.target.value) })} style={{...uiStyles.input, width: 40, fontSize: 12}} /></label>
+                  <label>Mute <input type="checkbox" checked={t.muted} onChange={e => updateTrack(t.id, { muted: e.target.checked })} /></label>
+                  <button onClick={() => removeTrack(t.id)} style={{...uiStyles.button, fontSize: 12}}>×</button>
+                  {t.mode === 'breakbeat' && editTrackId === t.id && (() => {
+                    // The track being edited shows its own page of slices with per-slice mute and volume
+                    const offset = trackSliceOffset(t);
+                    const slices = Array.from({ length: Math.min(sliceRows, numSlices - offset) }, (_, r) => offset + r);
+                    return (
+                      <div style={{ width: '100%', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, paddingLeft: 8 }}>
+                        <button style={{...uiStyles.button, fontSize: 12}} disabled={offset === 0} onClick={() => updateTrack(t.id, { slicePage: offset / sliceRows - 1 })}>◀</button>
+                        <span>Slices {offset + 1}–{offset + slices.length} of {numSlices}</span>
+                        <button style={{...uiStyles.button, fontSize: 12}} disabled={offset / sliceRows >= slicePages - 1} onClick={() => updateTrack(t.id, { slicePage: offset / sliceRows + 1 })}>▶</button>
+                        {slices.map(slice => (
+                          <span key={slice} style={{ display: 'inline-flex', alignItems: 'center', gap: 2 }}>
+                            {slice + 1}
+                            <input type="checkbox" title="Mute" checked={t.sliceMutes[slice]} onChange={e => updateTrackSlice(t.id, slice, { muted: e.target.checked })} />
+                            <input type="range" title="Volume" min={0} max={1} step={0.01} value={t.sliceVolumes[slice]} onChange={e => updateTrackSlice(t.id, slice, { volume: Number(e.target.value) })} style={{...uiStyles.slider, width: 50}} />
+                          </span>
+                        ))}
+                      </div>
+                    );
+                  })()}
+                </div>
+              );
+            })}
             
             <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
-              <label style={{ display: 'flex', alignItems: 'center', gap: 8, minWidth: '180px' }}>
+              <label {...learnable('density', { display: 'flex', alignItems: 'center', gap: 8, minWidth: '180px' })}>
                 <span style={uiStyles.label}>Density:</span>
                 <input 
                   type="range" 
@@ -1432,6 +4060,53 @@ export default function SequencerDemo() {
                 <span style={{...uiStyles.label, minWidth: 40}}>{Math.round(densityDisplay * 100)}%</span>
               </label>
             </div>
+
+            <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, minWidth: '180px' }}>
+                <span style={uiStyles.label}>Swing:</span>
+                <input
+                  type="range"
+                  min={50}
+                  max={75}
+                  step={1}
+                  value={swing}
+                  onChange={e=>setSwing(Number(e.target.value))}
+                  style={{...uiStyles.slider, width: 150}}
+                />
+                <span style={{...uiStyles.label, minWidth: 40}}>{swing}%</span>
+              </label>
+            </div>
+
+            <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <span style={uiStyles.label}>Groove:</span>
+              <select value={grooveId} onChange={e=>selectGroove(e.target.value)} style={uiStyles.select}>
+                {Object.entries(GROOVE_TEMPLATES).map(([id, g]) => <option value={id} key={id}>{g.name}</option>)}
+                {Object.entries(importedGrooves).map(([id, g]) => <option value={id} key={id}>{g.name}</option>)}
+                <option value="custom">Custom</option>
+              </select>
+              <input
+                type="text"
+                value={grooveText}
+                title="Per-step timing offsets in % of a step, cycled (e.g. 0, 10, 0, -5)"
+                onChange={e=>handleGrooveTextChange(e.target.value)}
+                style={{...uiStyles.input, width: 140}}
+              />
+              <input type="file" accept=".json,.txt,.groove" onChange={handleGrooveFileInput} style={{ color: 'white', fontSize: 12, maxWidth: 180 }} />
+            </div>
+
+            <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <span style={uiStyles.label}>Bounce:</span>
+              <select value={bounceBars} onChange={e=>setBounceBars(Number(e.target.value))} style={uiStyles.select}>
+                {[1, 2, 4, 8, 16].map(n => <option value={n} key={n}>{n} bar{n > 1 ? 's' : ''}</option>)}
+              </select>
+              <select value={bounceBitDepth} onChange={e=>setBounceBitDepth(Number(e.target.value))} style={uiStyles.select}>
+                <option value={16}>16-bit</option>
+                <option value={24}>24-bit</option>
+              </select>
+              <button onClick={bounceSelectionToWav} disabled={bouncing} style={uiStyles.button}>
+                {bouncing ? 'Rendering...' : 'Export WAV'}
+              </button>
+            </div>
           </div>
 
           <div style={{ marginTop: 12 }}>
@@ -1441,16 +4116,93 @@ export default function SequencerDemo() {
               <option value="midi">MIDI</option>
               <option value="breakbeat">Breakbeat Slicer</option>
             </select>
+            {mode !== 'breakbeat' && (
+              <label style={{ marginLeft: 8 }}>Voices: <select value={voiceCount} onChange={e=>changeVoiceCount(Number(e.target.value))} style={uiStyles.select}>
+                {Array.from({ length: MAX_VOICES }, (_, i) => <option value={i + 1} key={i}>{i + 1}</option>)}
+              </select></label>
+            )}
             {mode === 'midi' && (
               <div style={{ marginTop: 6 }}>
                 <label style={uiStyles.label}>Channel: <input type="number" min={1} max={16} defaultValue={engine.midiChannel} onChange={e=>engine.setMidiChannel(Number(e.target.value)||1)} style={Object.assign({}, uiStyles.input, {width: 40})} /></label>
-                <div style={{ marginTop: 6, color: 'white' }}>
-                  <label style={uiStyles.label}>MIDI Output: <select onChange={e=>{ const id=e.target.value; const out = midiOutputs.find(o=>o.id===id); if (out) engine.setMidiOutput(out); }} style={uiStyles.select}>
-                    {midiOutputs.map(o => <option value={o.id} key={o.id}>{o.name || o.id}</option>)}
-                  </select></label>
-                </div>
               </div>
             )}
+            <div style={{ marginTop: 6, color: 'white', display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <label style={uiStyles.label}>MIDI Output: <select value={midiOutputId || ''} onChange={e=>{ const id=e.target.value; const out = midiOutputs.find(o=>o.id===id); if (out) { engine.stopClock(); engine.setMidiOutput(out); setMidiOutputId(id); if (playing) joinMidiClock(); } }} style={uiStyles.select}>
+                {midiOutputs.map(o => <option value={o.id} key={o.id}>{o.name || o.id}</option>)}
+              </select></label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  disabled={!midiOutputId}
+                  checked={!!midiOutputId && midiClockOutputIds.includes(midiOutputId)}
+                  onChange={e=>toggleMidiClock(midiOutputId, e.target.checked)}
+                />
+                <span>Send clock</span>
+              </label>
+            </div>
+            <div style={{ marginTop: 6, color: 'white', display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <label style={uiStyles.label}>MIDI Input: <select value={midiInputId || ''} onChange={e=>setMidiInputId(e.target.value)} style={uiStyles.select}>
+                {midiInputs.map(i => <option value={i.id} key={i.id}>{i.name || i.id}</option>)}
+              </select></label>
+              <button
+                onClick={() => setRecordArmed(a => !a)}
+                title="Record incoming MIDI notes into the selection while playing"
+                style={{...uiStyles.button, background: recordArmed ? 'rgba(255, 0, 0, 0.6)' : uiStyles.button.background}}
+              >
+                {recordArmed ? '● Rec armed' : '○ Rec'}
+              </button>
+              <label style={uiStyles.label}>Sync: <select value={syncMode} onChange={e=>changeSyncMode(e.target.value)} style={uiStyles.select}>
+                <option value="internal">Internal</option>
+                <option value="external">External MIDI clock</option>
+              </select></label>
+              {syncMode === 'external' && (
+                <span style={{
+                  padding: '2px 6px',
+                  border: '1px solid white',
+                  background: syncStatus === 'locked' ? 'rgba(0, 255, 0, 0.4)' : syncStatus === 'lost' ? 'rgba(255, 0, 0, 0.5)' : 'rgba(255, 255, 255, 0.1)'
+                }}>
+                  {syncStatus === 'locked' ? `Sync locked ${clockFollower.bpm.toFixed(1)} BPM` : syncStatus === 'lost' ? 'Sync lost' : syncStatus === 'waiting' ? 'Waiting for clock' : 'No MIDI input'}
+                </span>
+              )}
+            </div>
+            <div style={{ marginTop: 6, color: 'white', display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+              <button
+                onClick={() => { setMidiLearn(l => !l); setLearnTarget(null); }}
+                style={{...uiStyles.button, background: midiLearn ? 'rgba(255, 255, 0, 0.4)' : uiStyles.button.background}}
+              >
+                {midiLearn ? 'Done Learning' : 'MIDI Learn'}
+              </button>
+              {midiLearn && (
+                <span style={{ fontSize: 12 }}>
+                  {learnTarget ? `Move a knob or press a pad for ${midiTargetLabel(learnTarget)}...` : 'Click a control to map it'}
+                </span>
+              )}
+            </div>
+            {midiMappings.length > 0 && (
+              <table style={{ marginTop: 6, fontSize: 12, borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left' }}>
+                    <th>Control</th><th>Type</th><th>Ch</th><th>No.</th><th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {midiMappings.map(m => (
+                    <tr key={m.target}>
+                      <td>{midiTargetLabel(m.target)}</td>
+                      <td>
+                        <select value={m.type} onChange={e=>updateMidiMapping(m.target, { type: e.target.value })} style={uiStyles.select}>
+                          <option value="cc">CC</option>
+                          <option value="note">Note</option>
+                        </select>
+                      </td>
+                      <td><input type="number" min={1} max={16} value={m.channel} onChange={e=>updateMidiMapping(m.target, { channel: Math.max(1, Math.min(16, Number(e.target.value) || 1)) })} style={{...uiStyles.input, width: 36}} /></td>
+                      <td><input type="number" min={0} max={127} value={m.number} onChange={e=>updateMidiMapping(m.target, { number: Math.max(0, Math.min(127, Number(e.target.value) || 0)) })} style={{...uiStyles.input, width: 40}} /></td>
+                      <td><button onClick={()=>setMidiMappings(prev => prev.filter(x => x.target !== m.target))} style={uiStyles.button}>×</button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
             {mode === 'breakbeat' && (
               <div style={{ marginTop: 6 }}>
                 <div style={{ marginBottom: 8 }}>
@@ -1460,8 +4212,9 @@ export default function SequencerDemo() {
                     type="number" 
                     min={1} 
                     max={999} 
+                    step="any"
                     value={breakbeatBPM}
-                    style={Object.assign({}, uiStyles.input, {width: 50})}
+                    style={Object.assign({}, uiStyles.input, {width: 60})}
                     onChange={e => { 
                       const val = e.target.value;
                       if (val === '') {
@@ -1483,6 +4236,19 @@ export default function SequencerDemo() {
                     }} 
                   />
                 </label>
+                {tempoAnalysis && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', fontSize: 12, marginTop: 4 }}>
+                    <span style={{ opacity: 0.7 }}>
+                      Detected {tempoAnalysis.bpm} BPM · {tempoAnalysis.bars} bar{tempoAnalysis.bars === 1 ? '' : 's'} · {Math.round(tempoAnalysis.confidence * 100)}% confidence
+                      {tempoAnalysis.confidence < TEMPO_CONFIDENCE_THRESHOLD ? ' (inconclusive: BPM taken from the file name if it has one)' : ''}
+                    </span>
+                    {[tempoAnalysis.bpm, tempoAnalysis.half, tempoAnalysis.double].map((value, i) => (
+                      <button key={i} style={{ ...uiStyles.button, padding: '2px 6px', fontSize: 11 }}
+                        disabled={value > 999 || value === breakbeatBPM}
+                        onClick={() => applyBreakbeatBPM(value)}>{['1×', '½×', '2×'][i]} {value}</button>
+                    ))}
+                  </div>
+                )}
                 </div>
                 <div style={{ marginBottom: 8 }}>
                   <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', color: 'white' }}>
@@ -1499,7 +4265,13 @@ export default function SequencerDemo() {
                   </label>
                 </div>
                 <div style={{ marginBottom: 8 }}>
-                  <label style={uiStyles.label}>
+                  <label style={uiStyles.label}>Tempo/pitch: <select value={breakbeatStretch} onChange={e => setBreakbeatStretch(e.target.value)} style={uiStyles.select}>
+                    <option value="vinyl">Vinyl (linked)</option>
+                    <option value="stretch">Time-stretch (independent)</option>
+                  </select></label>
+                </div>
+                <div style={{ marginBottom: 8 }}>
+                  <label {...learnable('breakbeatPitch', uiStyles.label)}>
                     Pitch: {breakbeatPitch > 0 ? '+' : ''}{breakbeatPitch} st
                     <input
                       type="range"
@@ -1516,6 +4288,36 @@ export default function SequencerDemo() {
                     />
                   </label>
                 </div>
+                <div style={{ marginBottom: 8, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                  <label style={uiStyles.label}>Bars: <select value={breakbeatBars} onChange={e => setBreakbeatBars(e.target.value === 'auto' ? 'auto' : Number(e.target.value))} style={uiStyles.select}>
+                    <option value="auto">Auto ({tempoAnalysis ? loopBars : '?'})</option>
+                    {BREAKBEAT_BAR_OPTIONS.map(b => <option key={b} value={b}>{b}</option>)}
+                  </select></label>
+                  <label style={uiStyles.label}>Column: <select value={sliceTriggerMode} onChange={e => setSliceTriggerMode(e.target.value)} style={uiStyles.select}>
+                    <option value="top">Top slice wins</option>
+                    <option value="layered">Layered</option>
+                    <option value="random">Random winner</option>
+                  </select></label>
+                  <label style={uiStyles.label}>Slicing: <select value={sliceMode} onChange={e => setSliceMode(e.target.value)} style={uiStyles.select}>
+                    <option value="equal">Equal</option>
+                    <option value="transient">Transients</option>
+                  </select></label>
+                  {sliceMode === 'transient' && (
+                    <>
+                      <label style={uiStyles.label}>
+                        Sensitivity: {Math.round(transientSensitivity * 100)}%
+                        <input type="range" min="0" max="1" step="0.05" value={transientSensitivity}
+                          onChange={e => setTransientSensitivity(Number(e.target.value))}
+                          style={{ ...uiStyles.slider, width: 100, marginLeft: 8, verticalAlign: 'middle' }} />
+                      </label>
+                      <button style={uiStyles.button} disabled={!breakbeatBuffer}
+                        onClick={() => setSlicePoints(detectTransients(breakbeatBuffer, transientSensitivity))}>Re-detect</button>
+                      <span style={{ fontSize: 12, opacity: 0.7 }}>
+                        {slicePoints.length} markers{slicePoints.length > numSlices ? ` (first ${numSlices} on the grid)` : ''} · double-click the waveform to add
+                      </span>
+                    </>
+                  )}
+                </div>
                 <div style={{ marginBottom: 8 }}>
                   <input type="file" accept="audio/*" onChange={handleBreakbeatFileInput} style={{
                     color: 'white',
@@ -1525,55 +4327,66 @@ export default function SequencerDemo() {
                     padding: '4px',
                     margin: '4px 0'
                   }} />
+                  {breakbeatName && <span style={{ marginLeft: 8, opacity: 0.7 }}>{breakbeatName}</span>}
                 </div>
                 {breakbeatWaveform && (
                   <div style={{ width: '100%', height: 80, border: '1px solid rgb(255, 255, 255)', position: 'relative', background: 'rgba(50, 50, 255, 0.5)' }}>
-                    <svg width="100%" height="80" viewBox="0 0 200 80" preserveAspectRatio="none" style={{ display: 'block' }}>
+                    <svg width="100%" height="80" viewBox="0 0 200 80" preserveAspectRatio="none" style={{ display: 'block' }}
+                      onDoubleClick={sliceMode === 'transient' ? addMarkerAt : undefined}>
                       {/* Center line */}
                       <line x1="0" y1="40" x2="200" y2="40" stroke="rgba(255, 255, 255, 0.5)" strokeWidth="0.5" />
                       
                       {/* Waveform as filled area (CDJ style) */}
                       <path
-                        d={(() => {
-                          const topPath = breakbeatWaveform.map((v, i) => {
-                            const x = (i / breakbeatWaveform.length) * 200;
-                            const y = 40 + (v.min * 35); // Top part (negative values go up)
-                            return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
-                          }).join(' ');
-                          
-                          const bottomPath = breakbeatWaveform.slice().reverse().map((v, i) => {
-                            const x = ((breakbeatWaveform.length - 1 - i) / breakbeatWaveform.length) * 200;
-                            const y = 40 + (v.max * 35); // Bottom part (positive values go down)
-                            return `L ${x} ${y}`;
-                          }).join(' ');
-                          
-                          return topPath + ' ' + bottomPath + ' Z';
-                        })()}
+                        d={waveformPath(breakbeatWaveform, 200, 80)}
                         fill="rgba(255, 255, 255, 0.6)"
                         stroke="rgba(255, 255, 255, 0.9)"
                         strokeWidth="0.5"
                       />
                       
                       {/* Slice markers based on numSlices */}
-                      {Array.from({ length: numSlices + 1 }).map((_, i) => (
+                      {sliceMode === 'equal' && Array.from({ length: numSlices + 1 }).map((_, i) => (
                         <line
                           key={i}
                           x1={(i / numSlices) * 200}
                           y1="0"
                           x2={(i / numSlices) * 200}
                           y2="80"
-                          stroke={i === 0 || i === numSlices ? 'white' : 'rgba(255, 255, 255, 0.7)'}
-                          strokeWidth={i === 0 || i === numSlices ? '1' : '0.5'}
+                          stroke={i % (numSlices / loopBars) === 0 ? 'white' : 'rgba(255, 255, 255, 0.7)'}
+                          strokeWidth={i % (numSlices / loopBars) === 0 ? '1' : '0.5'}
                         />
                       ))}
                       
+                      {/* Slices on the grid's current page */}
+                      {slicePages > 1 && (
+                        <rect x={(sliceOffset / numSlices) * 200} y="0" width={(sliceRows / numSlices) * 200} height="80"
+                          fill="rgba(255, 255, 255, 0.12)" style={{ pointerEvents: 'none' }} />
+                      )}
+                      
+                      {/* Transient markers: drag to move, right-click to delete (rows past numSlices are dimmed) */}
+                      {sliceMode === 'transient' && slicePoints.map((p, i) => (
+                        <g key={i}>
+                          <line x1={p * 200} y1="0" x2={p * 200} y2="80"
+                            stroke={i < numSlices ? 'rgb(255, 200, 0)' : 'rgba(255, 200, 0, 0.35)'} strokeWidth="1"
+                            vectorEffect="non-scaling-stroke" style={{ pointerEvents: 'none' }} />
+                          <line x1={p * 200} y1="0" x2={p * 200} y2="80"
+                            stroke="transparent" strokeWidth="8" vectorEffect="non-scaling-stroke"
+                            style={{ cursor: 'ew-resize' }}
+                            onMouseDown={(e) => startMarkerDrag(e, i)}
+                            onContextMenu={(e) => deleteMarker(e, i)}
+                            onDoubleClick={(e) => e.stopPropagation()}>
+                            <title>{`Slice ${i + 1} – drag to move, right-click to delete`}</title>
+                          </line>
+                        </g>
+                      ))}
+                      
                       {/* Visual flash for currently playing slice */}
-                      {currentlyPlayingSlice >= 0 && currentlyPlayingSlice < numSlices && (
+                      {currentlyPlayingRegion && (
                         <rect
                           key={sliceFlashKey}
-                          x={(currentlyPlayingSlice / numSlices) * 200}
+                          x={currentlyPlayingRegion.start * 200}
                           y="0"
-                          width={(1 / numSlices) * 200}
+                          width={(currentlyPlayingRegion.end - currentlyPlayingRegion.start) * 200}
                           height="80"
                           fill="rgba(255, 255, 255, 0.5)"
                           style={{ 
@@ -1603,17 +4416,40 @@ export default function SequencerDemo() {
               marginTop: '20px',
               marginBottom: '12px'
             }}>{mode === 'breakbeat' ? 'Slices' : 'Samples / Voices'}</h4>
+            {mode === 'breakbeat' && slicePages > 1 && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12 }}>
+                <button style={uiStyles.button} disabled={sliceOffset === 0} onClick={() => setSlicePage(sliceOffset / sliceRows - 1)}>◀</button>
+                <span>Slices {sliceOffset + 1}–{Math.min(numSlices, sliceOffset + sliceRows)} of {numSlices} (page {sliceOffset / sliceRows + 1}/{slicePages})</span>
+                <button style={uiStyles.button} disabled={sliceOffset / sliceRows >= slicePages - 1} onClick={() => setSlicePage(sliceOffset / sliceRows + 1)}>▶</button>
+              </div>
+            )}
+            {mode !== 'breakbeat' && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', fontSize: 12 }}>
+                <label style={uiStyles.label}>Kit: <select
+                  value={availableKits.some(k => k.url === kitUrl) ? kitUrl : ''}
+                  onChange={e=>{ if (e.target.value) loadKitFromUrl(e.target.value).catch(err => console.error('Failed to load kit:', err)); }}
+                  style={uiStyles.select}
+                >
+                  <option value="">{availableKits.some(k => k.url === kitUrl) ? 'Choose kit...' : kitName}</option>
+                  {availableKits.map(k => <option value={k.url} key={k.url}>{k.name || k.url}</option>)}
+                </select></label>
+                <input type="file" accept=".json,application/json" onChange={handleKitFileInput} title="Load a kit manifest" style={{ color: 'white', fontSize: 12, maxWidth: 180 }} />
+                <input type="text" value={kitName} onChange={e=>setKitName(e.target.value)} title="Kit name" style={{...uiStyles.input, width: 100}} />
+                <button onClick={saveKit} style={{...uiStyles.button, fontSize: 12}}>Save Kit</button>
+              </div>
+            )}
             <div style={{ 
               display: 'grid', 
               gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', 
               gap: '8px',
               marginTop: '12px'
             }}>
-            {Array.from({ length: mode === 'breakbeat' ? numSlices : 4 }).map((_, i) => {
-              const isPlayingSlice = mode === 'breakbeat' && currentlyPlayingSlice === i;
+            {Array.from({ length: mode === 'breakbeat' ? Math.min(sliceRows, numSlices - sliceOffset) : voiceCount }).map((_, i) => {
+              const slice = sliceOffset + i; // Breakbeat slice shown on this row (current page)
+              const isPlayingSlice = mode === 'breakbeat' && currentlyPlayingSlice === slice;
               const isPlayingRow = (mode === 'sample' || mode === 'midi') && currentlyPlayingRow === i;
               const isPlaying = isPlayingSlice || isPlayingRow;
-              const totalRows = mode === 'breakbeat' ? numSlices : 4;
+              const totalRows = numRows;
               const rowColor = getRowColor(i, totalRows);
               const colorIndicator = `rgb(${rowColor.r}, ${rowColor.g}, ${rowColor.b})`;
               
@@ -1637,37 +4473,136 @@ export default function SequencerDemo() {
                         flexShrink: 0
                       }} />
                       <span>
-                        {mode === 'breakbeat' ? `Slice ${i+1}` : `Voice ${i+1}`}
+                        {mode === 'breakbeat' ? `Slice ${slice+1}` : `Voice ${i+1}`}
                       </span>
                     </div>
                     <div>
-                      <label style={uiStyles.label}>Mute <input type="checkbox" checked={mode === 'breakbeat' ? sliceMute[i] : mute[i]} onChange={e=>{ if (mode === 'breakbeat') { const m = [...sliceMute]; m[i]=e.target.checked; setSliceMute(m); } else { const m = [...mute]; m[i]=e.target.checked; setMute(m); } }} /></label>
-                      <label style={{...uiStyles.label, marginLeft: 8}}>Vol <input type="range" min={0} max={1} step={0.01} value={mode === 'breakbeat' ? sliceVolumes[i] : volumes[i]} style={{...uiStyles.slider}} onChange={e=>{ if (mode === 'breakbeat') { const v = [...sliceVolumes]; v[i]=Number(e.target.value); setSliceVolumes(v); engine.setVolume(i, Number(e.target.value)); } else { const v = [...volumes]; v[i]=Number(e.target.value); setVolumes(v); engine.setVolume(i, Number(e.target.value)); } }} /></label>
+                      <label {...learnable(`mute:${mode === 'breakbeat' ? slice : i}`, uiStyles.label)}>Mute <input type="checkbox" checked={mode === 'breakbeat' ? sliceMute[slice] : mute[i]} onChange={e=>{ if (mode === 'breakbeat') { const m = [...sliceMute]; m[slice]=e.target.checked; setSliceMute(m); } else { const m = [...mute]; m[i]=e.target.checked; setMute(m); } }} /></label>
+                      <label {...learnable(`volume:${mode === 'breakbeat' ? slice : i}`, {...uiStyles.label, marginLeft: 8})}>Vol <input type="range" min={0} max={1} step={0.01} value={mode === 'breakbeat' ? sliceVolumes[slice] : volumes[i]} style={{...uiStyles.slider}} onChange={e=>{ if (mode === 'breakbeat') { const v = [...sliceVolumes]; v[slice]=Number(e.target.value); setSliceVolumes(v); engine.setVolume(slice, Number(e.target.value)); } else { const v = [...volumes]; v[i]=Number(e.target.value); setVolumes(v); engine.setVolume(i, Number(e.target.value)); } }} /></label>
                     </div>
                   </div>
+                  {mode === 'breakbeat' && sliceSettings[slice] && (
+                    <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginTop: 6 }}>
+                      <label style={{...uiStyles.label, fontSize: 12}}>
+                        <input type="checkbox" checked={sliceSettings[slice].reverse}
+                          onChange={e => updateSliceSettings(slice, { reverse: e.target.checked })} /> Rev
+                      </label>
+                      <label style={{...uiStyles.label, fontSize: 12}}>
+                        Pitch:
+                        <input type="number" min={-24} max={24} value={sliceSettings[slice].pitch}
+                          onChange={e => updateSliceSettings(slice, { pitch: Math.max(-24, Math.min(24, Number(e.target.value) || 0)) })}
+                          style={{...uiStyles.input, width: 40, marginLeft: 4}} /> st
+                      </label>
+                      <label style={{...uiStyles.label, fontSize: 12}}>
+                        Stutter:
+                        <select value={sliceSettings[slice].stutter}
+                          onChange={e => updateSliceSettings(slice, { stutter: Number(e.target.value) })}
+                          style={{...uiStyles.select, marginLeft: 4, fontSize: 12}}>
+                          {STUTTER_OPTIONS.map(n => <option key={n} value={n}>{n === 1 ? 'Off' : `×${n}`}</option>)}
+                        </select>
+                      </label>
+                      <label style={{...uiStyles.label, fontSize: 12}}>
+                        Gate: {Math.round(sliceSettings[slice].gate * 100)}%
+                        <input type="range" min={0.1} max={1} step={0.05} value={sliceSettings[slice].gate}
+                          onChange={e => updateSliceSettings(slice, { gate: Number(e.target.value) })}
+                          style={{...uiStyles.slider, width: 70, marginLeft: 4, verticalAlign: 'middle'}} />
+                      </label>
+                      {sliceTriggerMode === 'layered' && (
+                        <label style={{...uiStyles.label, fontSize: 12}} title="Slices in the same choke group cut each other off">
+                          Choke:
+                          <select value={sliceSettings[slice].choke}
+                            onChange={e => updateSliceSettings(slice, { choke: Number(e.target.value) })}
+                            style={{...uiStyles.select, marginLeft: 4, fontSize: 12}}>
+                            <option value={0}>-</option>
+                            {[1, 2, 3, 4].map(g => <option key={g} value={g}>{g}</option>)}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                  )}
                   {mode !== 'breakbeat' && (
                     <div style={{ marginTop: 6 }}>
                       {mode === 'midi' ? (
-                        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                          <label style={{...uiStyles.label, fontSize: 12}}>
-                            MIDI Note: 
-                            <input 
-                              type="number" 
-                              min={0} 
-                              max={127} 
-                              value={midiNotes[i]} 
-                              onChange={e=>{ 
-                                const note = Math.max(0, Math.min(127, Number(e.target.value) || 0));
-                                const newNotes = [...midiNotes]; 
-                                newNotes[i] = note; 
-                                setMidiNotes(newNotes); 
-                                engine.setMidiNoteForRow(i, note);
-                              }} 
-                              style={{...uiStyles.input, width: 40, marginLeft: 4}} 
-                            />
-                          </label>
-                          <div style={{ fontSize: 11, color: 'rgba(255, 255, 255, 0.7)' }}>({['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'][midiNotes[i] % 12]}{Math.floor(midiNotes[i] / 12) - 1})</div>
-                        </div>
+                        <>
+                          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                            <label style={{...uiStyles.label, fontSize: 12}}>
+                              MIDI Note: 
+                              <input 
+                                type="number" 
+                                min={0} 
+                                max={127} 
+                                value={midiNotes[i]} 
+                                onChange={e=>{ 
+                                  const note = Math.max(0, Math.min(127, Number(e.target.value) || 0));
+                                  const newNotes = [...midiNotes]; 
+                                  newNotes[i] = note; 
+                                  setMidiNotes(newNotes); 
+                                  engine.setMidiNoteForRow(i, note);
+                                }} 
+                                style={{...uiStyles.input, width: 40, marginLeft: 4}} 
+                              />
+                            </label>
+                            <div style={{ fontSize: 11, color: 'rgba(255, 255, 255, 0.7)' }}>({['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'][midiNotes[i] % 12]}{Math.floor(midiNotes[i] / 12) - 1})</div>
+                            <label style={{...uiStyles.label, fontSize: 12}}>
+                              Ch:
+                              <select
+                                value={midiChannels[i] || ''}
+                                onChange={e=>{
+                                  const newChannels = [...midiChannels];
+                                  newChannels[i] = e.target.value === '' ? null : Number(e.target.value);
+                                  setMidiChannels(newChannels);
+                                }}
+                                style={{...uiStyles.select, marginLeft: 4, fontSize: 12}}
+                              >
+                                <option value="">Global</option>
+                                {Array.from({ length: 16 }).map((_, ch) => <option value={ch + 1} key={ch}>{ch + 1}</option>)}
+                              </select>
+                            </label>
+                          </div>
+                          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 6 }}>
+                            <label style={{...uiStyles.label, fontSize: 12, opacity: noNoteOff[i] ? 0.5 : 1}}>
+                              Gate:
+                              <input
+                                type="number"
+                                min={gates[i].unit === 'step' ? 0.05 : 1}
+                                step={gates[i].unit === 'step' ? 0.05 : 10}
+                                value={gates[i].value}
+                                disabled={noNoteOff[i]}
+                                onChange={e=>{
+                                  const newGates = [...gates];
+                                  newGates[i] = { ...gates[i], value: Math.max(0, Number(e.target.value) || 0) };
+                                  setGates(newGates);
+                                }}
+                                style={{...uiStyles.input, width: 50, marginLeft: 4}}
+                              />
+                              <select
+                                value={gates[i].unit}
+                                disabled={noNoteOff[i]}
+                                onChange={e=>{
+                                  const unit = e.target.value;
+                                  const newGates = [...gates];
+                                  newGates[i] = { unit, value: unit === 'step' ? 0.5 : 300 };
+                                  setGates(newGates);
+                                }}
+                                style={{...uiStyles.select, marginLeft: 4, fontSize: 12}}
+                              >
+                                <option value="ms">ms</option>
+                                <option value="step">× step</option>
+                              </select>
+                            </label>
+                            <label style={{...uiStyles.label, fontSize: 12}}>
+                              <input
+                                type="checkbox"
+                                checked={noNoteOff[i]}
+                                onChange={e=>{
+                                  const newNoOff = [...noNoteOff];
+                                  newNoOff[i] = e.target.checked;
+                                  setNoNoteOff(newNoOff);
+                                }}
+                              /> No note-off
+                            </label>
+                          </div>
+                        </>
                       ) : (
                         <div style={{ display: 'flex', gap: 8 }}>
                           <input type="file" accept="audio/*" onChange={(e)=>handleFileInput(e,i)} style={{
@@ -1679,18 +4614,124 @@ export default function SequencerDemo() {
                             margin: '4px 0'
                           }} />
                           <div style={{ fontSize: 12, color: 'rgba(255, 255, 255, 0.85)' }}>{samplesInfo[i] ? `${samplesInfo[i].name} (${samplesInfo[i].len}ms)` : 'No sample loaded'}</div>
+                          <label style={{...uiStyles.label, fontSize: 12, whiteSpace: 'nowrap'}} title="Voices in the same choke group cut each other off">
+                            Choke:
+                            <select
+                              value={chokeGroups[i]}
+                              onChange={e=>{
+                                const newGroups = [...chokeGroups];
+                                newGroups[i] = Number(e.target.value);
+                                setChokeGroups(newGroups);
+                              }}
+                              style={{...uiStyles.select, marginLeft: 4, fontSize: 12}}
+                            >
+                              <option value={0}>-</option>
+                              {[1, 2, 3, 4].map(g => <option value={g} key={g}>{g}</option>)}
+                            </select>
+                          </label>
+                          <button
+                            onClick={() => setEditingVoice(v => (v === i ? -1 : i))}
+                            disabled={!samplesInfo[i]}
+                            style={{...uiStyles.button, fontSize: 12, alignSelf: 'center'}}
+                          >
+                            {editingVoice === i ? 'Close' : 'Edit'}
+                          </button>
                         </div>
                       )}
                     </div>
                   )}
+                  {mode === 'sample' && editingVoice === i && samplesInfo[i] && (() => {
+                    const settings = sampleSettings[i];
+                    const sliderRow = (label, key, min, max, step, format) => (
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+                        <span style={{ minWidth: 56 }}>{label}</span>
+                        <input
+                          type="range"
+                          min={min}
+                          max={max}
+                          step={step}
+                          value={settings[key]}
+                          onChange={e => {
+                            const value = Number(e.target.value);
+                            // Keep the trim region at least 1% long
+                            if (key === 'start') updateSampleSettings(i, { start: Math.min(value, settings.end - 0.01) });
+                            else if (key === 'end') updateSampleSettings(i, { end: Math.max(value, settings.start + 0.01) });
+                            else updateSampleSettings(i, { [key]: value });
+                          }}
+                          style={{...uiStyles.slider, flexGrow: 1}}
+                        />
+                        <span style={{ minWidth: 56, textAlign: 'right' }}>{format(settings[key])}</span>
+                      </label>
+                    );
+                    return (
+                      <div style={{ marginTop: 8, borderTop: '1px solid rgba(255, 255, 255, 0.2)', paddingTop: 8 }}>
+                        {sampleWaveforms[i] && (
+                          <div style={{ width: '100%', height: 60, border: '1px solid rgb(255, 255, 255)', background: 'rgba(50, 50, 255, 0.5)', marginBottom: 6 }}>
+                            <svg width="100%" height="60" viewBox="0 0 200 60" preserveAspectRatio="none" style={{ display: 'block', transform: settings.reverse ? 'scaleX(-1)' : 'none' }}>
+                              <line x1="0" y1="30" x2="200" y2="30" stroke="rgba(255, 255, 255, 0.5)" strokeWidth="0.5" />
+                              <path d={waveformPath(sampleWaveforms[i], 200, 60)} fill="rgba(255, 255, 255, 0.6)" stroke="rgba(255, 255, 255, 0.9)" strokeWidth="0.5" />
+                              {/* Dim the trimmed-off parts */}
+                              <rect x="0" y="0" width={settings.start * 200} height="60" fill="rgba(0, 0, 0, 0.5)" />
+                              <rect x={settings.end * 200} y="0" width={(1 - settings.end) * 200} height="60" fill="rgba(0, 0, 0, 0.5)" />
+                              <line x1={settings.start * 200} y1="0" x2={settings.start * 200} y2="60" stroke="yellow" strokeWidth="1" />
+                              <line x1={settings.end * 200} y1="0" x2={settings.end * 200} y2="60" stroke="yellow" strokeWidth="1" />
+                            </svg>
+                          </div>
+                        )}
+                        {sliderRow('Start', 'start', 0, 1, 0.001, v => `${Math.round(v * samplesInfo[i].len)}ms`)}
+                        {sliderRow('End', 'end', 0, 1, 0.001, v => `${Math.round(v * samplesInfo[i].len)}ms`)}
+                        {sliderRow('Tune', 'semitones', -24, 24, 1, v => `${v > 0 ? '+' : ''}${v} st`)}
+                        {sliderRow('Fine', 'cents', -100, 100, 1, v => `${v > 0 ? '+' : ''}${v} ct`)}
+                        {sliderRow('Attack', 'attack', 0, 500, 1, v => `${v}ms`)}
+                        {sliderRow('Decay', 'decay', 10, 5000, 10, v => `${v}ms`)}
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6, fontSize: 12 }}>
+                          <label><input type="checkbox" checked={settings.reverse} onChange={e => updateSampleSettings(i, { reverse: e.target.checked })} /> Reverse</label>
+                          <button onClick={() => engine.triggerRow(i, null, 127, { muted: false, volume: volumes[i] })} style={{...uiStyles.button, fontSize: 12}}>Preview</button>
+                          <button onClick={() => updateSampleSettings(i, DEFAULT_SAMPLE_SETTINGS)} style={{...uiStyles.button, fontSize: 12}}>Reset</button>
+                        </div>
+                      </div>
+                    );
+                  })()}
                 </div>
               );
             })}
             </div>
           </div>
 
+          <div style={{ marginTop: 14 }}>
+            <button onClick={() => { setLibraryOpen(o => !o); refreshLibrary(); }} style={{...uiStyles.button, fontSize: 12}}>
+              {libraryOpen ? 'Hide Library' : `Show Library (${librarySounds.length})`}
+            </button>
+            {libraryOpen && (
+              <div style={{ marginTop: 8, fontSize: 12 }}>
+                {librarySounds.length === 0 && <div>No stored sounds yet. Samples and breakbeats loaded from disk are kept here.</div>}
+                {librarySounds.map(sound => (
+                  <div key={sound.id} style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4, flexWrap: 'wrap' }}>
+                    <input
+                      type="text"
+                      defaultValue={sound.name}
+                      onBlur={e => { if (e.target.value !== sound.name) renameLibrarySound(sound.id, e.target.value); }}
+                      style={{...uiStyles.input, width: 140, fontSize: 12}}
+                    />
+                    <span style={{ color: 'rgba(255, 255, 255, 0.7)' }}>{sound.kind} · {Math.round(sound.size / 1024)}kB</span>
+                    <select
+                      value=""
+                      onChange={e => { if (e.target.value !== '') loadLibrarySound(sound.id, e.target.value === 'breakbeat' ? 'breakbeat' : Number(e.target.value)); }}
+                      style={{...uiStyles.select, fontSize: 12}}
+                    >
+                      <option value="">Use as...</option>
+                      {Array.from({ length: voiceCount }, (_, i) => <option value={i} key={i}>Voice {i + 1}</option>)}
+                      <option value="breakbeat">Breakbeat</option>
+                    </select>
+                    <button onClick={() => deleteLibrarySound(sound.id)} style={{...uiStyles.button, fontSize: 12}}>×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           <div style={{ marginTop: 10, fontSize: 12, color: 'white' }}>
-            Tips: Click cells to toggle. Click+drag horizontally to set selection length. Selection is fixed 4 rows tall. Play starts scheduling steps; samples play via WebAudio. MIDI mode will use selected MIDI output or fallback to oscillator.
+            Tips: Cmd/Ctrl+click cells to toggle. Alt+click or scroll over an active cell to change its velocity (lighter = softer). Click+drag horizontally to set selection length. Selection is one row per voice (set the voice count next to Mode). Keys 1-9/0 (Shift+1-6 for 11-16) mute rows. Play starts scheduling steps; samples play via WebAudio. MIDI mode will use selected MIDI output or fallback to oscillator.
           </div>
             </div>
           )}
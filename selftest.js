@@ -0,0 +1,104 @@
+// Transport self-check. index.html loads this only when the page is opened with ?selftest, after
+// evaluating the demo with the Transport class exposed as window.__Transport; results go to the console.
+(function () {
+  // Clock for the Transport ({ now, setTimeout, clearTimeout }) whose time only moves through runUntil
+  function manualClock() {
+    const timers = new Map();
+    let nextTimer = 0;
+    const clock = {
+      time: 0,
+      now: () => clock.time,
+      setTimeout: (fn, ms) => { timers.set(++nextTimer, { fn, at: clock.time + ms / 1000 }); return nextTimer; },
+      clearTimeout: (id) => timers.delete(id)
+    };
+    // Move the clock to `until`, firing due timers in order
+    const runUntil = (until) => {
+      for (;;) {
+        const due = [...timers].filter(([, t]) => t.at <= until).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        clock.time = due[1].at;
+        due[1].fn();
+      }
+      clock.time = until;
+    };
+    return { clock, timers, runUntil };
+  }
+
+  // Deterministic check of the Transport's lookahead and quantized switching on a manual clock: plays
+  // 4-step 1/8 notes at 120 BPM, queues a 3-step pattern mid-run, then stops. Returns the failures
+  // (empty when everything holds).
+  function checkTransport(Transport) {
+    const failures = [];
+    const expect = (ok, message) => { if (!ok) failures.push(message); };
+    const { clock, timers, runUntil } = manualClock();
+
+    const transport = new Transport({ clock, bpm: 120, noteLength: '1/8', patternLength: 4 });
+    const steps = [];
+    let stops = 0;
+    transport.onStep = (column, time, step) => steps.push({ column, time, step, at: clock.time });
+    transport.onStop = () => stops++;
+    transport.start();
+    runUntil(0.6);
+    const stepsBeforeSwitch = steps.length;
+    transport.queuePatternChange(3);
+    runUntil(2);
+
+    // Steps are 0.25s apart from 0.05s. The switch queued at 0.6s lands on the first step after the
+    // 0.75s boundary (step 3), which picks up where a 3-step pattern running since the start would be.
+    const secPerStep = 0.25;
+    expect(stepsBeforeSwitch === 3, `expected 3 steps scheduled by 0.6s, got ${stepsBeforeSwitch}`);
+    expect(steps.length === 9, `expected 9 steps scheduled by 2s, got ${steps.length}`);
+    steps.forEach((st, i) => {
+      expect(st.step === i, `step ${i} reported as ${st.step}`);
+      expect(Math.abs(st.time - (transport.startDelay + i * secPerStep)) < 1e-9, `step ${i} at ${st.time}s`);
+      expect(st.time > st.at && st.time - st.at <= transport.scheduleAheadTime + 1e-9, `step ${i} scheduled at ${st.at}s for ${st.time}s`);
+      const column = i < 3 ? i % 4 : i % 3;
+      expect(st.column === column, `step ${i} on column ${st.column}, expected ${column}`);
+    });
+
+    transport.stop();
+    const stepsAtStop = steps.length;
+    runUntil(3);
+    expect(stops === 1, `onStop called ${stops} times`);
+    expect(timers.size === 0 && steps.length === stepsAtStop, 'steps still scheduled after stop');
+    return failures;
+  }
+
+  // External clock: startExternal plays without the lookahead timer, syncTo schedules the steps and
+  // queued pattern switches still land on the step grid
+  function checkExternalTransport(Transport) {
+    const failures = [];
+    const expect = (ok, message) => { if (!ok) failures.push(message); };
+    const { clock, timers } = manualClock();
+    const transport = new Transport({ clock, bpm: 120, noteLength: '1/8', patternLength: 4 });
+    const columns = [];
+    let startTime = null;
+    transport.onStep = (column) => columns.push(column);
+    transport.onStart = (time) => { startTime = time; };
+    clock.time = 1;
+    transport.startExternal(1.05);
+    expect(transport.playing && startTime === 1.05, 'startExternal did not start the transport');
+    expect(timers.size === 0, 'startExternal started the lookahead timer');
+    const syncStep = (step) => {
+      clock.time = 1 + step * 0.25;
+      transport.syncTo(step, 1.05 + step * 0.25, 0.25);
+    };
+    for (let step = 0; step < 3; step++) syncStep(step);
+    clock.time = 1.6;
+    transport.queuePatternChange(3);
+    for (let step = 3; step < 8; step++) syncStep(step);
+    const expected = [0, 1, 2, 0, 1, 2, 0, 1];
+    expect(columns.join() === expected.join(), `external columns ${columns.join()}, expected ${expected.join()}`);
+    return failures;
+  }
+
+  const Transport = window.__Transport;
+  if (!Transport) {
+    console.error('Transport self-check: window.__Transport is missing');
+    return;
+  }
+  const failures = [...checkTransport(Transport), ...checkExternalTransport(Transport)];
+  if (failures.length) console.error('Transport self-check failed:', failures);
+  else console.log('Transport self-check passed');
+})();